@@ -5,25 +5,61 @@
  * Scrapes multiple HubSpot sources for beta features, tracks their status
  * over time, and generates diff reports showing what's new/changed.
  *
- * Sources:
- *   1. Developer Changelog RSS (developers.hubspot.com/changelog/rss.xml)
- *   2. HubSpot Community "Releases and Updates" board
- *   3. HubSpot Product Updates page (hubspot.com/product-updates)
+ * Sources (registered as adapters — see "Source Registry"):
+ *   1. HubSpot Portal product updates API (session-authenticated)
+ *   2. Releasebot (releasebot.io/updates/hubspot)
+ *   3. HubSpot Product Updates page (disabled — JS-rendered)
+ *   4. HubSpot Community "Releases and Updates" board
+ *   5. Developer Changelog RSS (developers.hubspot.com/changelog/rss.xml)
  *
  * Usage:
  *   node index.js              # Full scan + report
  *   node index.js --report-only # Just show current state + recent changes
  *   node index.js --json        # Output report as JSON (for cron consumption)
+ *   node index.js --full-sync   # Re-read every portal update instead of only changes
+ *   node index.js --backfill <date> # Also page back through Community/Releasebot history to <date> (resumable)
+ *   node index.js --record <dir> # Scan normally, saving every raw response to <dir>
+ *   node index.js --replay <dir> # Rebuild a recorded scan offline (writes <dir>/state.replay.json)
+ *   node index.js --merges       # List cross-source merges awaiting review
+ *   node index.js --confirm-merge <aliasId> / --split-merge <aliasId>
+ *   node index.js --status-reviews # List status regressions held for review
+ *   node index.js --accept-status <id> / --reject-status <id>
+ *   node index.js --apply-overrides # Re-apply overrides.json without scanning
+ *   node index.js --rejections [text] # Titles the last scan filtered out, and the rule that did it
+ *   node index.js --promote <title>   # Track a wrongly rejected title and stop filtering it
+ *   node index.js --train-classifier  # Retrain the status/hub model on portal items, print held-out accuracy
+ *   node index.js --import-json [file] # Load state.json (or <file>) into the configured store, e.g. SQLite
+ *   node index.js --export-json <file> # Write the configured store out as a state.json-format file
+ *   node index.js --migrate [--dry-run] # Bring stored state up to the current schemaVersion (or just report what would change)
+ *   node index.js --history [from] [to] [--type new,statusChanged] # New / status-changed / updated events between two dates
+ *   node index.js --compact-history [--dry-run] # Summarise history days older than HISTORY_RETENTION_DAYS now
  */
 
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { XMLParser } from 'fast-xml-parser';
 import { parse as parseHTML } from 'node-html-parser';
+import { extractArticleSections } from './lib/markdown.js';
+import { parseAvailability } from './lib/availability.js';
+import { createMatcher, isMatch } from './lib/dedupe.js';
+import { classifyAreas } from './lib/areas.js';
+import { DATE_FIELDS, extractDates, toISODate } from './lib/dates.js';
+import { MODEL_VERSION, portalExamples, predictHubs, predictStatus, splitExamples, statusPrecision, trainModel } from './lib/classifier.js';
+import { classifyHubs } from './lib/hubs.js';
+import { STAGES, reviewTransition } from './lib/lifecycle.js';
+import { CURATED_FIELDS, FLAG_FIELDS, loadOverrides } from './lib/overrides.js';
+import { PROVENANCE_FIELDS, DEFAULT_PRECEDENCE, loadFieldPrecedence, comparePrecedence } from './lib/precedence.js';
+import { loadPortalConfigs, portalLabel, portalListUrl, portalDetailUrl, portalHeaders } from './lib/portals.js';
+import { EVENT_TYPES, HISTORY_RETENTION_DAYS, compactHistory, isDay, queryHistory } from './lib/history.js';
+import { SCHEMA_VERSION, migrateState } from './lib/migrations.js';
+import { openStore } from './lib/storage.js';
+import { SCAN_LOCKED_EXIT, ScanLockedError, acquireScanLock, writeFileAtomic } from './lib/persist.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const STATE_FILE = path.join(__dirname, 'state.json');
+const CLASSIFIER_FILE = path.join(__dirname, 'classifier-model.json');
 const HISTORY_DIR = path.join(__dirname, 'history');
 
 // ─── Sources ────────────────────────────────────────────────────────────────
@@ -46,7 +82,8 @@ const SOURCES = {
   },
   portalUpdates: {
     name: 'HubSpot Portal Product Updates',
-    url: 'https://app-eu1.hubspot.com/api/product-updates/v3/rollout-product-updates/list?portalId=139633041&clienttimeout=14000&hs_static_app=productupdates-ui&hs_static_app_version=1.11553&startStageDate=1772755200000',
+    // Host and portalId come from the portal config (lib/portals.js)
+    url: 'https://{host}/api/product-updates/v3/rollout-product-updates/list?portalId={portalId}',
     type: 'json',
   },
 };
@@ -63,21 +100,113 @@ const STATUS_KEYWORDS = {
   'update': ['update', 'improvement', 'enhanced', 'new feature', 'added', 'improved', 'redesigned', 'upgraded'],
 };
 
-// Hub/Integration detection keywords
-const HUB_KEYWORDS = {
-  'Marketing Hub': ['marketing', 'email', 'forms', 'landing pages', 'campaigns', 'seo', 'social', 'ads', 'blog', 'ctas', 'lead scoring', 'lists', 'nurture', 'a/b test'],
-  'Sales Hub': ['deals', 'pipeline', 'sequences', 'quotes', 'forecasting', 'playbooks', 'sales', 'prospecting', 'meetings', 'calling', 'tasks'],
-  'Service Hub': ['tickets', 'conversations', 'knowledge base', 'customer portal', 'feedback', 'service', 'help desk', 'sla'],
-  'CMS Hub': ['cms', 'pages', 'themes', 'templates', 'drag-and-drop', 'hubdb', 'modules', 'website', 'blog'],
-  'Operations Hub': ['workflows', 'data sync', 'data quality', 'datasets', 'custom code', 'operations', 'programmable automation'],
-  'Commerce Hub': ['payments', 'quotes', 'invoices', 'subscriptions', 'commerce', 'orders', 'carts', 'checkout'],
-  'Developer Platform': ['api', 'sdk', 'cli', 'oauth', 'apps', 'extensions', 'sandbox', 'marketplace', 'developer', 'webhook', 'serverless', 'hubl'],
-  'Breeze AI': ['breeze', 'ai', 'copilot', 'assistant', 'agent', 'intelligence'],
-};
+// ─── Record / Replay ────────────────────────────────────────────────────────
+//
+// --record <dir> saves every raw network response of a scan (RSS XML, Releasebot
+// HTML, portal JSON pages, community DOM snapshots) plus the input state.
+// --replay <dir> serves the same scan back from disk: no network, the recorded
+// scan clock, and output to <dir>/state.replay.json so state.json and history/
+// are never touched. Failed fetches are recorded too, so bad scans replay as bad.
+
+const capture = { mode: null, dir: null, manifest: null };
+let scanClock = null;
+let statePath = STATE_FILE;
+
+function configureCapture(args) {
+  for (const mode of ['record', 'replay']) {
+    const idx = args.indexOf(`--${mode}`);
+    if (idx === -1) continue;
+    const dir = args[idx + 1];
+    if (!dir || dir.startsWith('--')) throw new Error(`--${mode} requires a directory`);
+    if (capture.mode) throw new Error('--record and --replay cannot be combined');
+    capture.mode = mode;
+    capture.dir = path.resolve(dir);
+  }
+
+  if (capture.mode === 'record') {
+    fs.mkdirSync(capture.dir, { recursive: true });
+    capture.manifest = { version: 1, recordedAt: scanTime().toISOString(), entries: {} };
+    writeFileAtomic(path.join(capture.dir, 'state.before.json'), JSON.stringify(stateStore().load(), null, 2));
+    saveManifest();
+    console.log(`⏺ Recording raw responses to ${capture.dir}`);
+  } else if (capture.mode === 'replay') {
+    const manifestFile = path.join(capture.dir, 'manifest.json');
+    if (!fs.existsSync(manifestFile)) throw new Error(`No manifest.json in ${capture.dir}`);
+    capture.manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+    scanClock = new Date(capture.manifest.recordedAt);
+    const before = path.join(capture.dir, 'state.before.json');
+    statePath = path.join(capture.dir, 'state.replay.json');
+    if (fs.existsSync(before)) fs.copyFileSync(before, statePath);
+    else if (fs.existsSync(statePath)) fs.rmSync(statePath);
+    console.log(`⏵ Replaying scan recorded ${capture.manifest.recordedAt} from ${capture.dir}`);
+  }
+}
+
+// One timestamp per scan: lets a replay reproduce firstSeen/lastSeen/pubDate exactly
+function scanTime() {
+  if (!scanClock) scanClock = new Date();
+  return scanClock;
+}
+
+function saveManifest() {
+  writeFileAtomic(path.join(capture.dir, 'manifest.json'), JSON.stringify(capture.manifest, null, 2));
+}
+
+function hasRecorded(kind, matchKey = () => true) {
+  return Object.values(capture.manifest?.entries || {}).some(entry => entry.kind === kind && matchKey(entry.key));
+}
+
+// Wraps one network request. `request` resolves to { status, body } where body is
+// text (or null when the request failed); the same shape comes back on replay.
+async function capturedRequest(kind, key, ext, request) {
+  const entryKey = `${kind} ${key}`;
+
+  if (capture.mode === 'replay') {
+    const entry = capture.manifest.entries[entryKey];
+    if (!entry) {
+      console.error(`  ✗ Not in recording: ${entryKey}`);
+      return { status: 0, body: null, error: 'not recorded' };
+    }
+    if (entry.thrown) throw new Error(entry.error);
+    const body = entry.file ? fs.readFileSync(path.join(capture.dir, entry.file), 'utf8') : null;
+    return { status: entry.status, body, error: entry.error };
+  }
+
+  if (capture.mode !== 'record') return request();
+
+  let result;
+  try {
+    result = await request();
+  } catch (err) {
+    capture.manifest.entries[entryKey] = { kind, key, file: null, status: 0, error: err.message, thrown: true };
+    saveManifest();
+    throw err;
+  }
+  const hash = crypto.createHash('sha1').update(entryKey).digest('hex').slice(0, 12);
+  const file = result.body != null ? `${kind}-${hash}.${ext}` : null;
+  if (file) writeFileAtomic(path.join(capture.dir, file), result.body);
+  capture.manifest.entries[entryKey] = { kind, key, file, status: result.status, error: result.error };
+  saveManifest();
+  return result;
+}
 
 // ─── Helpers ────────────────────────────────────────────────────────────────
 
-async function fetchURL(url, maxRetries = 2) {
+// Per-request timeout, also cancelled when the owning source run is aborted
+function requestSignal(ctx, ms) {
+  return ctx?.signal ? AbortSignal.any([ctx.signal, AbortSignal.timeout(ms)]) : AbortSignal.timeout(ms);
+}
+
+async function fetchURL(url, { maxRetries = 2, ctx } = {}) {
+  const ext = /rss|\.xml/i.test(url) ? 'xml' : 'html';
+  const { body } = await capturedRequest('http', url, ext, async () => {
+    const text = await fetchURLLive(url, { maxRetries, ctx });
+    return text == null ? { status: 0, body: null, error: 'fetch failed' } : { status: 200, body: text };
+  });
+  return body;
+}
+
+async function fetchURLLive(url, { maxRetries, ctx }) {
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
     try {
       const res = await fetch(url, {
@@ -85,12 +214,12 @@ async function fetchURL(url, maxRetries = 2) {
           'User-Agent': 'HubSpot-Beta-Tracker/1.0 (CRM Consultant Tool)',
           'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
         },
-        signal: AbortSignal.timeout(15000),
+        signal: requestSignal(ctx, 15000),
       });
       if (!res.ok) throw new Error(`HTTP ${res.status} from ${url}`);
       return await res.text();
     } catch (err) {
-      if (attempt === maxRetries) {
+      if (attempt === maxRetries || ctx?.signal?.aborted) {
         console.error(`  ✗ Failed to fetch ${url}: ${err.message}`);
         return null;
       }
@@ -110,10 +239,11 @@ function detectStatus(text) {
   return 'update';
 }
 
-function loadPortalAuth() {
-  const cookie = process.env.HUBSPOT_PORTAL_COOKIE || '';
-  const csrf = process.env.HUBSPOT_PORTAL_CSRF || '';
-  return { cookie, csrf };
+// On replay a portal counts as configured if the recording has responses for it
+function hasPortalAuth(portal) {
+  if (portal.cookie && portal.csrf) return true;
+  return capture.mode === 'replay'
+    && hasRecorded('portal', key => key.startsWith(`https://${portal.host}/`) && key.includes(`portalId=${portal.portalId}`));
 }
 
 let currentPortalHealth = {
@@ -124,13 +254,6 @@ let currentPortalHealth = {
   itemsFetched: 0,
 };
 
-function portalCookieHeader(cookie, csrf) {
-  if (!cookie || !csrf) return '';
-  const hasHubspotApiName = cookie.includes('hubspotapi=');
-  const baseCookie = hasHubspotApiName ? cookie : `hubspotapi=${cookie}; hubspotapi-csrf=${csrf}`;
-  return baseCookie.includes('hubspotapi-csrf=') ? baseCookie : `${baseCookie}; hubspotapi-csrf=${csrf}`;
-}
-
 function getLatestPortalItem(state) {
   const portalItems = Object.values(state?.betas || {}).filter(item => item.source === 'portal-updates');
   if (!portalItems.length) return null;
@@ -215,189 +338,476 @@ async function maybeAlertPortalHealth(state, health) {
   if (sent) health.lastAlertAt = new Date().toISOString();
 }
 
+// rolloutState → status, one to one where we have a status for it (see lib/lifecycle.js)
+const PORTAL_STATUSES = {
+  IN_DEVELOPMENT: 'in development',
+  COMING_SOON: 'coming soon',
+  PRIVATE_BETA: 'private beta',
+  PUBLIC_BETA: 'public beta',
+  LIVE: 'live',
+  ROLLED_OUT: 'live',
+  UPCOMING_SUNSET: 'sunset',
+  SUNSET: 'sunset',
+  DEPRIORITIZED: 'deprioritized',
+};
+
+// What the mapping used to give for states it collapsed; stored items still
+// carrying one are relabelled by relabelPortalStatuses() when next scanned
+const LEGACY_PORTAL_STATUSES = {
+  IN_DEVELOPMENT: 'private beta',
+  COMING_SOON: 'private beta',
+  PUBLIC_BETA: 'private beta',
+  DEPRIORITIZED: 'update',
+};
+
 function mapPortalStatus(item) {
   const state = (item.rolloutState || '').toUpperCase();
-  const approval = (item.approval || '').toUpperCase();
   const cta = ((item.ctaText || '') + ' ' + (item.buttonLabel || '')).toLowerCase();
+  if (PORTAL_STATUSES[state]) return PORTAL_STATUSES[state];
+  // States we don't know yet: keep the old reading
   if (state.includes('BETA') || cta.includes('beta')) return 'private beta';
-  if (state === 'IN_DEVELOPMENT' || state === 'COMING_SOON') return 'private beta';
-  if (state === 'LIVE' || state === 'ROLLED_OUT') return 'live';
   if (state.includes('SUNSET')) return 'sunset';
-  if (approval === 'APPROVED') return 'update';
   return 'update';
 }
 
-function mapPortalHubs(item) {
-  const groups = Array.isArray(item.featureGroups) ? item.featureGroups : [];
-  const groupText = groups.join(' ').toLowerCase();
-  const titleDesc = `${item.title || ''} ${item.untranslatedTitle || ''} ${item.description || ''}`;
-  const mapped = new Set();
-  if (/help.?desk|service|ticket|inbox|routing/.test(groupText + ' ' + titleDesc.toLowerCase())) mapped.add('Service Hub');
-  if (/sales|deal|quote|invoice|prospecting|sequence/.test(groupText + ' ' + titleDesc.toLowerCase())) mapped.add('Sales Hub');
-  if (/marketing|email|tiktok|campaign|form|social/.test(groupText + ' ' + titleDesc.toLowerCase())) mapped.add('Marketing Hub');
-  if (/website|cms|content|membership/.test(groupText + ' ' + titleDesc.toLowerCase())) mapped.add('CMS Hub');
-  if (/data|automation|workflow|report|dashboard|association|view/.test(groupText + ' ' + titleDesc.toLowerCase())) mapped.add('Operations Hub');
-  if (/crm|api|developer|extension|object/.test(groupText + ' ' + titleDesc.toLowerCase())) mapped.add('Developer Platform');
-  if (mapped.size === 0) return detectHubs(titleDesc);
-  return [...mapped];
-}
-
-async function parsePortalUpdates() {
-  const { cookie, csrf } = loadPortalAuth();
-  if (!cookie || !csrf) {
-    console.log('📡 Portal updates auth not configured - skipping portal source');
-    currentPortalHealth = { ok: false, status: 'missing_auth', checkedAt: new Date().toISOString(), message: 'Portal auth env vars are missing', itemsFetched: 0 };
-    return [];
+// A stored portal item still under the old collapsed status takes its faithful
+// one without it counting as a status change, when this scan reports the same
+// rolloutState it was stored with (nothing moved in HubSpot). A different
+// rolloutState is a real move and goes through mergeResults as usual. Items an
+// incremental scan doesn't list are relabelled by the next full sync.
+function relabelPortalStatuses(state, scannedItems) {
+  let relabelled = 0;
+  for (const item of scannedItems) {
+    const stored = state.betas[item.id];
+    const raw = item.rawPortalState;
+    if (!stored || !LEGACY_PORTAL_STATUSES[raw] || stored.rawPortalState !== raw) continue;
+    if (stored.status !== LEGACY_PORTAL_STATUSES[raw] || stored.curation?.original?.status) continue;
+    stored.statusHistory = [...(stored.statusHistory || []), { status: PORTAL_STATUSES[raw], date: scanTime().toISOString(), source: 'relabel', previousStatus: stored.status }];
+    stored.status = PORTAL_STATUSES[raw];
+    relabelled++;
+  }
+  return relabelled;
+}
+
+// Portal updates carry HubSpot's own featureGroups, which the classifiers weigh in
+function portalTaxonomyFields(item) {
+  return taxonomyFields(`${item.title || ''} ${item.untranslatedTitle || ''} ${item.description || ''}`, item.featureGroups);
+}
+
+// ─── Portal Sync Watermark ──────────────────────────────────────────────────
+//
+// state.portalSync[region:portalId] = { watermark, stageWatermark, lastFullSync, lastMode, lastItemCount }
+// watermark = max(updatedAt, translationUpdatedAt, stageDate) over everything seen;
+// stageWatermark = max(stageDate), the one incremental scans filter on.
+// The list endpoint can only filter on stageDate (startStageDate, the portal UI's
+// own filter — there is no updatedAt filter), so incremental scans only list
+// updates whose stage changed since the watermark (minus an overlap, since
+// stageDate is day-granular). Description and translation edits to an update
+// whose stage hasn't moved are NOT seen by them: only the full resync every
+// PORTAL_FULL_SYNC_HOURS (or with --full-sync) re-reads everything and catches
+// those edits and deletions. The default of 20h makes every daily scan a full
+// one; incremental scans only cover the extra runs in between.
+
+const PORTAL_WATERMARK_OVERLAP_MS = 2 * 86400_000;
+
+function portalTimestamp(item) {
+  return Math.max(item.updatedAt || 0, item.translationUpdatedAt || 0, item.stageDate || 0);
+}
+
+function choosePortalSyncMode(sync) {
+  if (process.argv.includes('--full-sync')) return { mode: 'full', reason: '--full-sync' };
+  if (!sync?.watermark) return { mode: 'full', reason: 'no watermark yet' };
+  const fullSyncHours = Number(process.env.PORTAL_FULL_SYNC_HOURS || 20);
+  const lastFull = sync.lastFullSync ? new Date(sync.lastFullSync).getTime() : 0;
+  if (scanTime().getTime() - lastFull >= fullSyncHours * 3600_000) return { mode: 'full', reason: `last full sync over ${fullSyncHours}h ago` };
+  return { mode: 'incremental', since: (sync.stageWatermark || sync.watermark) - PORTAL_WATERMARK_OVERLAP_MS };
+}
+
+// Fetches every configured portal in turn (see lib/portals.js). Returns one
+// capture per portal: { portalId, region, primary, mode, truncated, items, health }.
+async function fetchPortalUpdates(ctx) {
+  const captures = [];
+  for (const portal of loadPortalConfigs()) {
+    const sync = choosePortalSyncMode(ctx?.state?.portalSync?.[portalLabel(portal)]);
+    const { items, truncated, health } = await fetchPortalPages(portal, ctx, sync);
+    captures.push({
+      portalId: portal.portalId,
+      region: portal.region,
+      primary: portal.primary,
+      mode: sync.mode,
+      truncated,
+      items,
+      health: { ...health, portalId: portal.portalId, region: portal.region, syncMode: sync.mode, checkedAt: new Date().toISOString() },
+    });
+  }
+  return captures;
+}
+
+async function fetchPortalPages(portal, ctx, sync = { mode: 'full' }) {
+  const label = portalLabel(portal);
+  if (!hasPortalAuth(portal)) {
+    console.log(`📡 Portal updates auth not configured for ${label} - skipping portal`);
+    return { items: null, health: { ok: false, status: 'missing_auth', message: 'Portal auth env vars are missing', itemsFetched: 0 } };
   }
-  console.log('📡 Fetching authenticated HubSpot portal product updates (paginated)...');
+  console.log(sync.mode === 'incremental'
+    ? `📡 Fetching HubSpot portal product updates from ${label} changed since ${new Date(sync.since).toISOString()} (incremental)...`
+    : `📡 Fetching authenticated HubSpot portal product updates from ${label} (full sync: ${sync.reason})...`);
   try {
     const allItems = [];
     let offset = 0;
     const limit = 50;
-    let totalFetched = 0;
+
+    let truncated = false;
 
     // Pagination loop
     while (true) {
-      const paginatedUrl = `https://app-eu1.hubspot.com/api/product-updates/v3/rollout-product-updates/list?portalId=139633041&limit=${limit}&offset=${offset}`;
-      const res = await fetch(paginatedUrl, {
-        headers: {
-          'accept': 'application/json, text/javascript, */*; q=0.01',
-          'referer': 'https://app-eu1.hubspot.com/product-updates/139633041/all',
-          'x-hubspot-csrf-hubspotapi': csrf,
-          'cookie': portalCookieHeader(cookie, csrf),
-          'user-agent': 'Mozilla/5.0'
-        },
-        signal: AbortSignal.timeout(15000),
+      const paginatedUrl = portalListUrl(portal, { limit, offset, startStageDate: sync.since });
+      const res = await capturedRequest('portal', paginatedUrl, 'json', async () => {
+        const r = await fetch(paginatedUrl, {
+          headers: portalHeaders(portal),
+          signal: requestSignal(ctx, 15000),
+        });
+        return { status: r.status, body: r.ok ? await r.text() : null };
       });
-      if (!res.ok) {
-        currentPortalHealth = {
-          ok: false,
-          status: res.status === 401 ? 'auth_failed' : 'fetch_failed',
-          httpStatus: res.status,
-          checkedAt: new Date().toISOString(),
-          message: `Portal API returned HTTP ${res.status}`,
-          itemsFetched: 0,
+      if (res.status < 200 || res.status >= 300 || res.body == null) {
+        console.log(`  ✗ Portal updates failed for ${label}: HTTP ${res.status}`);
+        return {
+          items: null,
+          health: {
+            ok: false,
+            status: res.status === 401 ? 'auth_failed' : 'fetch_failed',
+            httpStatus: res.status,
+            message: `Portal API returned HTTP ${res.status}`,
+            itemsFetched: 0,
+          },
         };
-        throw new Error(`HTTP ${res.status}`);
       }
-      const data = await res.json();
+      const data = JSON.parse(res.body);
       const items = Array.isArray(data.rolloutProductUpdates) ? data.rolloutProductUpdates : [];
 
       if (items.length === 0) break;
       allItems.push(...items);
       offset += limit;
-      totalFetched += items.length;
 
       // Safety limit to avoid infinite loops
-      if (totalFetched > 2000) break;
+      if (allItems.length > 2000) { truncated = true; break; }
     }
+    return { items: allItems, truncated, health: { ok: true, status: 'ok', message: `Fetched ${allItems.length} raw portal updates`, itemsFetched: allItems.length } };
+  } catch (err) {
+    console.log(`  ✗ Portal updates failed for ${label}: ${err.message}`);
+    return { items: null, health: { ok: false, status: 'fetch_failed', message: err.message, itemsFetched: 0 } };
+  }
+}
 
-    // Filter to last 18 months and map to tracker format
-    const cutoffMs = Date.now() - (18 * 30 * 86400 * 1000);
-    const results = allItems
-      .filter(item => {
-        // Only external items, and from last 18 months
-        if (item.external === false) return false;
-        const latestTs = Math.max(
-          item.updatedAt || 0,
-          item.translationUpdatedAt || 0,
-          item.stageDate || 0
-        );
-        return latestTs >= cutoffMs;
-      })
-      .map(item => {
-        // Determine update date (most recent of all timestamp fields)
-        const latestTs = Math.max(
-          item.updatedAt || 0,
-          item.translationUpdatedAt || 0,
-          item.stageDate || item.releaseDate || 0
-        );
-
-        // Extract description from translatedContent HTML
-        let description = '';
-        if (item.translatedContent?.content) {
-          const html = item.translatedContent.content;
-          // Helper: clean HTML to plain text and trim to sentence boundary
-          const cleanHtml = (raw, maxLen = 400) => {
-            const text = raw
-              .replace(/<br\s*\/?>/gi, ' ')
-              .replace(/<\/p>/gi, ' ')
-              .replace(/<\/li>/gi, '. ')
-              .replace(/<[^>]+>/g, '')
-              .replace(/&nbsp;/g, ' ')
-              .replace(/&amp;/g, '&')
-              .replace(/&lt;/g, '<')
-              .replace(/&gt;/g, '>')
-              .replace(/&quot;/g, '"')
-              .replace(/\s+/g, ' ')
-              .trim();
-            if (text.length <= maxLen) return text;
-            // Trim to last complete sentence within maxLen
-            const trimmed = text.substring(0, maxLen);
-            const lastPeriod = Math.max(trimmed.lastIndexOf('. '), trimmed.lastIndexOf('! '), trimmed.lastIndexOf('? '));
-            return lastPeriod > maxLen * 0.5 ? trimmed.substring(0, lastPeriod + 1) : trimmed;
-          };
-          // Extract "What is it?" section first (most descriptive)
-          const whatIsIt = html.match(/What is it\?:?\s*(.*?)(?:Why does it matter|How does it work|<h[23]|$)/is);
-          if (whatIsIt && whatIsIt[1].length > 30) {
-            description = cleanHtml(whatIsIt[1], 400);
-          }
-          // Fallback: clean full HTML
-          if (!description) {
-            description = cleanHtml(html, 400);
-          }
-        }
-
-        return {
-          id: `portal-${item.id || slugify(item.title || item.untranslatedTitle || 'update')}`,
-          title: (item.title || item.untranslatedTitle || 'Untitled portal update').trim(),
-          description: description,
-          status: mapPortalStatus(item),
-          hubs: mapPortalHubs(item),
-          source: 'portal-updates',
-          // Use public KB/community links when available; fall back to public hubspot.com product updates page
-          sourceUrl: item.rollout?.kbArticleLink
-            || item.rollout?.communityForumLink
-            || item.ctaUrl
-            || `https://www.hubspot.com/product-updates`,
-          pubDate: new Date(latestTs).toISOString(),
-          sortDate: latestTs, // For sorting newest first
-          author: null,
-          rawPortalState: item.rolloutState || null,
-          impact: item.rollout?.impactLevel || 5,
-          type: item.rollout?.type || 'ADDITIONAL_FUNCTIONALITY',
-        };
-      })
-      // Sort by update date, newest first
-      .sort((a, b) => (b.sortDate || 0) - (a.sortDate || 0));
+// Advances the watermark and, after a complete full sync, flags sightings of
+// updates this portal no longer lists (deleted or pulled by HubSpot)
+function updatePortalSync(state, portalCapture) {
+  const label = portalLabel(portalCapture);
+  state.portalSync = state.portalSync || {};
+  const sync = state.portalSync[label] || {};
+  const now = scanTime().toISOString();
+  const seenMax = portalCapture.items.reduce((max, item) => Math.max(max, portalTimestamp(item)), 0);
+
+  sync.watermark = Math.max(sync.watermark || 0, seenMax) || null;
+  const stageMax = portalCapture.items.reduce((max, item) => Math.max(max, item.stageDate || 0), 0);
+  sync.stageWatermark = Math.max(sync.stageWatermark || 0, stageMax) || null;
+  sync.lastMode = portalCapture.mode;
+  sync.lastSync = now;
+  sync.lastItemCount = portalCapture.items.length;
+  if (portalCapture.mode === 'full') sync.lastFullSync = now;
+  state.portalSync[label] = sync;
+
+  if (portalCapture.mode !== 'full' || portalCapture.truncated) return;
+  const listedIds = new Set(portalCapture.items.map(item => `portal-${item.id}`));
+  let removed = 0;
+  for (const item of Object.values(state.betas || {})) {
+    if (listedIds.has(item.id) || !item.id.startsWith('portal-')) continue;
+    // Items stored before per-portal sightings all came from the primary portal
+    if (!item.portals) {
+      if (!portalCapture.primary) continue;
+      item.portals = [{ portalId: portalCapture.portalId, region: portalCapture.region, firstSeen: item.firstSeen, lastSeen: item.lastSeen }];
+    }
+    const sighting = item.portals.find(p => p.portalId === portalCapture.portalId && p.region === portalCapture.region && !p.removedAt);
+    if (!sighting) continue;
+    sighting.removedAt = now;
+    item.regions = [...new Set(item.portals.filter(p => !p.removedAt).map(p => p.region))];
+    removed++;
+  }
+  if (removed) console.log(`  i ${removed} previously tracked updates no longer listed by ${label}`);
+}
 
-    currentPortalHealth = {
+// Overall portal health is only ok when every configured portal is; the
+// per-portal records are kept under `portals` so the failing one is obvious.
+function summarizePortalHealth(captures, itemsFetched) {
+  const portals = captures.map(c => c.health);
+  const failed = captures.filter(c => !c.health.ok);
+  if (!failed.length) {
+    return {
       ok: true,
       status: 'ok',
       checkedAt: new Date().toISOString(),
-      message: `Fetched ${results.length} portal product updates`,
-      itemsFetched: results.length,
+      message: `Fetched ${itemsFetched} portal product updates${captures.length > 1 ? ` from ${captures.length} portals` : ''}`,
+      itemsFetched,
+      portals,
     };
-    console.log(`  ✓ Found ${results.length} portal updates (from ${totalFetched} total)`);
-    return results;
-  } catch (err) {
-    if (currentPortalHealth.ok !== false) {
-      currentPortalHealth = { ok: false, status: 'fetch_failed', checkedAt: new Date().toISOString(), message: err.message, itemsFetched: 0 };
+  }
+  const first = failed[0].health;
+  return {
+    ok: false,
+    status: first.status,
+    httpStatus: first.httpStatus,
+    checkedAt: new Date().toISOString(),
+    message: captures.length > 1
+      ? failed.map(c => `${portalLabel(c)}: ${c.health.message}`).join('; ')
+      : first.message,
+    itemsFetched,
+    portals,
+  };
+}
+
+// Merges all portal captures into one item per product update. The primary
+// portal's content wins; every portal that reported the update is listed in
+// `portals` (with its own rolloutState) and `regions`.
+function parsePortalUpdates(captures, ctx) {
+  if (!captures) return [];
+  const byId = new Map();
+  let rawCount = 0;
+
+  for (const portalCapture of captures) {
+    if (!portalCapture.items) continue;
+    rawCount += portalCapture.items.length;
+    if (ctx?.state) updatePortalSync(ctx.state, portalCapture);
+    for (const item of mapPortalItems(portalCapture.items)) {
+      const sighting = {
+        portalId: portalCapture.portalId,
+        region: portalCapture.region,
+        rolloutState: item.rawPortalState,
+        firstSeen: scanTime().toISOString(),
+        lastSeen: scanTime().toISOString(),
+      };
+      const existing = byId.get(item.id);
+      if (existing) {
+        existing.portals.push(sighting);
+        if (!existing.regions.includes(sighting.region)) existing.regions.push(sighting.region);
+      } else {
+        byId.set(item.id, { ...item, portals: [sighting], regions: [sighting.region] });
+      }
     }
-    console.log(`  ✗ Portal updates failed: ${err.message}`);
-    return [];
   }
+
+  // Sort by update date, newest first
+  const results = [...byId.values()].sort((a, b) => (b.sortDate || 0) - (a.sortDate || 0));
+
+  currentPortalHealth = summarizePortalHealth(captures, results.length);
+  console.log(`  ✓ Found ${results.length} portal updates (from ${rawCount} total)`);
+  return results;
 }
 
-function detectHubs(text) {
-  const lower = text.toLowerCase();
-  const hubs = [];
-  for (const [hub, keywords] of Object.entries(HUB_KEYWORDS)) {
-    if (keywords.some(kw => lower.includes(kw))) {
-      hubs.push(hub);
+function mapPortalItems(allItems) {
+  // Filter to last 18 months and map to tracker format
+  const cutoffMs = scanTime().getTime() - (18 * 30 * 86400 * 1000);
+  return allItems
+    .filter(item => {
+      // Only external items, and from last 18 months
+      if (item.external === false) return false;
+      const latestTs = Math.max(
+        item.updatedAt || 0,
+        item.translationUpdatedAt || 0,
+        item.stageDate || 0
+      );
+      return latestTs >= cutoffMs;
+    })
+    .map(item => {
+      // Determine update date (most recent of all timestamp fields)
+      const latestTs = Math.max(
+        item.updatedAt || 0,
+        item.translationUpdatedAt || 0,
+        item.stageDate || item.releaseDate || 0
+      );
+
+      // Extract description from translatedContent HTML
+      let description = '';
+      let article = null;
+      let availability = null;
+      if (item.translatedContent?.content) {
+        const html = item.translatedContent.content;
+        // Extract "What is it?" section first (most descriptive)
+        const whatIsIt = html.match(/What is it\?:?\s*(.*?)(?:Why does it matter|How does it work|<h[23]|$)/is);
+        if (whatIsIt && whatIsIt[1].length > 30) {
+          description = cleanDescHtml(whatIsIt[1], 400);
+        }
+        // Fallback: clean full HTML
+        if (!description) {
+          description = cleanDescHtml(html, 400);
+        }
+        // Full "What is it?" / "Why does it matter?" / "How does it work?" sections as Markdown
+        article = extractArticleSections(html);
+        availability = portalAvailabilityText(html);
+      }
+
+      return {
+        id: `portal-${item.id || slugify(item.title || item.untranslatedTitle || 'update')}`,
+        title: (item.title || item.untranslatedTitle || 'Untitled portal update').trim(),
+        description: description,
+        status: mapPortalStatus(item),
+        ...portalTaxonomyFields(item),
+        featureGroups: Array.isArray(item.featureGroups) ? item.featureGroups : [],
+        source: 'portal-updates',
+        // Use public KB/community links when available; fall back to public hubspot.com product updates page
+        sourceUrl: item.rollout?.kbArticleLink
+          || item.rollout?.communityForumLink
+          || item.ctaUrl
+          || `https://www.hubspot.com/product-updates`,
+        pubDate: new Date(latestTs).toISOString(),
+        dateConfidence: 'exact',
+        sortDate: latestTs, // For sorting newest first
+        author: null,
+        rawPortalState: item.rolloutState || null,
+        impact: item.rollout?.impactLevel || 5,
+        type: item.rollout?.type || 'ADDITIONAL_FUNCTIONALITY',
+        article,
+        ...availabilityFields(availability),
+      };
+    });
+}
+
+// { hubs, hubEvidence, areas } for an item — hubEvidence says why each hub was
+// picked (lib/hubs.js), areas are the product areas below them (lib/areas.js)
+function taxonomyFields(text, featureGroups) {
+  const { hubs, evidence } = classifyHubs(text, { featureGroups });
+  return { hubs, hubEvidence: evidence, areas: classifyAreas(text, { featureGroups }) };
+}
+
+// ─── Deadlines & Effective Dates ────────────────────────────────────────────
+// effectiveDate / deadline / rolloutStart (YYYY-MM-DD) come from phrases like
+// "starting June 1" or "by September 30, 2026" in the item's own text, read
+// against its publish date (lib/dates.js). dateEvidence keeps the phrase each
+// came from. They are re-read from the stored item after every merge, so they
+// follow description changes and overrides.
+
+function applyDateFields(state) {
+  let dated = 0;
+  for (const item of Object.values(state.betas)) {
+    const article = item.article ? Object.values(item.article).filter(Boolean).join(' ') : '';
+    const { evidence, ...dates } = extractDates(`${item.title}. ${item.description || ''} ${article}`, { reference: item.pubDate || item.firstSeen });
+    for (const field of DATE_FIELDS) {
+      if (dates[field]) item[field] = dates[field];
+      else delete item[field];
+    }
+    if (Object.keys(evidence).length) {
+      item.dateEvidence = evidence;
+      dated++;
+    } else {
+      delete item.dateEvidence;
     }
   }
-  return hubs.length > 0 ? hubs : ['Platform'];
+  return dated;
+}
+
+// ─── Text Classifier ────────────────────────────────────────────────────────
+//
+// classifier-model.json is a naive Bayes model (lib/classifier.js) trained on
+// portal items, whose rolloutState and featureGroups are HubSpot's own labels;
+// retrain it with --train-classifier. After each scan's parsers run, it
+// relabels the other sources' items where it is at least
+// CLASSIFIER_MIN_CONFIDENCE sure:
+//   hubs   — replace the keyword hubs
+//   status — only when no status phrase matched ('update'), and only with the
+//            labels held-out items showed to be CLASSIFIER_MIN_PRECISION right
+//            (model.statusClasses). Portal text rarely says what stage it is
+//            at, so a phrase in the post beats the model. A predicted status
+//            labels new items but never moves a tracked one (see
+//            mergeResults); item.predictedStatus holds its confidence.
+// Without the model file everything stays on the keyword rules.
+
+const CLASSIFIER_MIN_CONFIDENCE = Number(process.env.CLASSIFIER_MIN_CONFIDENCE || 0.8);
+const CLASSIFIER_MIN_PRECISION = Number(process.env.CLASSIFIER_MIN_PRECISION || 0.8);
+let textModel;
+
+function loadTextModel() {
+  if (textModel === undefined) {
+    textModel = fs.existsSync(CLASSIFIER_FILE) ? JSON.parse(fs.readFileSync(CLASSIFIER_FILE, 'utf8')) : null;
+    if (textModel && textModel.version !== MODEL_VERSION) {
+      console.warn(`⚠️ ${path.basename(CLASSIFIER_FILE)} is model v${textModel.version}, expected v${MODEL_VERSION} — using keyword rules until --train-classifier`);
+      textModel = null;
+    }
+  }
+  return textModel;
+}
+
+function applyTextModel(items) {
+  const model = loadTextModel();
+  if (!model) return 0;
+  let relabelled = 0;
+  for (const item of items) {
+    if ((item.source || '').startsWith('portal')) continue;
+    const text = `${item.title} ${item.description || ''}`;
+    const hubs = predictHubs(model, text, CLASSIFIER_MIN_CONFIDENCE);
+    if (hubs) Object.assign(item, { hubs: hubs.hubs, hubEvidence: hubs.evidence });
+    const status = item.status === 'update' && model.statusClasses?.length ? predictStatus(model, text, CLASSIFIER_MIN_CONFIDENCE) : null;
+    if (status) Object.assign(item, { status: status.status, predictedStatus: status.confidence });
+    if (hubs || status) relabelled++;
+  }
+  return relabelled;
+}
+
+const percent = n => `${Math.round(n * 100)}%`;
+
+// Micro-averaged F1 of predicted vs labelled hub sets
+function hubF1(pairs) {
+  let hits = 0, predicted = 0, actual = 0;
+  for (const [guess, truth] of pairs) {
+    const real = guess.filter(h => h !== 'Platform');
+    hits += real.filter(h => truth.includes(h)).length;
+    predicted += real.length;
+    actual += truth.length;
+  }
+  return predicted && actual ? (2 * hits) / (predicted + actual) : 0;
+}
+
+// Retrains on the portal items in state: scores a model trained on 80% against
+// the held-out 20% (next to the keyword rules), then saves one trained on all
+// that only predicts the status labels the held-out items trusted
+function trainClassifier(state) {
+  const examples = portalExamples(state.betas);
+  const { train, test } = splitExamples(examples);
+  if (train.length < 50 || !test.length) return `❌ Only ${examples.length} labelled portal items — need more to train on`;
+
+  const model = trainModel(train);
+  const precision = statusPrecision(model, test, { minConfidence: CLASSIFIER_MIN_CONFIDENCE, minPrecision: CLASSIFIER_MIN_PRECISION });
+  const statusClasses = Object.keys(precision).filter(label => precision[label].trusted);
+  const statusGuesses = test.map(e => [predictStatus(model, e.text, 0), e.status]);
+  const confident = statusGuesses.filter(([guess]) => guess && guess.confidence >= CLASSIFIER_MIN_CONFIDENCE);
+  const correct = list => list.filter(([guess, truth]) => guess?.status === truth).length;
+  const keywordCorrect = test.filter(e => STAGES[detectStatus(e.text)] === STAGES[e.status]).length;
+  model.statusClasses = statusClasses;
+  const hybridCorrect = test.filter(e => {
+    const keyword = detectStatus(e.text);
+    const guess = keyword === 'update' ? predictStatus(model, e.text, CLASSIFIER_MIN_CONFIDENCE)?.status : keyword;
+    return STAGES[guess] === STAGES[e.status];
+  }).length;
+  // Hubs are only scored on items whose featureGroups give them labels
+  const hubTest = test.filter(e => e.hubs);
+  const modelHubs = hubTest.map(e => [(predictHubs(model, e.text, CLASSIFIER_MIN_CONFIDENCE) || classifyHubs(e.text)).hubs, e.hubs]);
+  const keywordHubs = hubTest.map(e => [classifyHubs(e.text).hubs, e.hubs]);
+
+  const full = trainModel(examples);
+  writeFileAtomic(CLASSIFIER_FILE, JSON.stringify({ ...full, statusClasses, trainedAt: scanTime().toISOString() }));
+  textModel = undefined;
+
+  return [
+    `🧠 Trained on ${train.length} portal items, tested on ${test.length} held out`,
+    `  Status  model ${percent(correct(statusGuesses) / test.length)} (≥${CLASSIFIER_MIN_CONFIDENCE} confident on ${percent(confident.length / test.length)} of items: ${percent(confident.length ? correct(confident) / confident.length : 0)}) · keyword rules ${percent(keywordCorrect / test.length)} · as used in scans (phrase, else model) ${percent(hybridCorrect / test.length)}`,
+    ...Object.entries(precision).map(([label, p]) =>
+      `    ${p.trusted ? '✓' : '✗'} ${label}: ${p.correct}/${p.predicted} confident predictions right (${percent(p.precision)}; ${percent(p.baseRate)} of items)`),
+    statusClasses.length
+      ? `  Status labels used in scans: ${statusClasses.join(', ')}`
+      : `  Status prediction off — no label reached ${percent(CLASSIFIER_MIN_PRECISION)} precision above its base rate`,
+    hubTest.length
+      ? `  Hubs    model + keyword fallback F1 ${hubF1(modelHubs).toFixed(2)} · keyword rules F1 ${hubF1(keywordHubs).toFixed(2)} (${hubTest.length} held-out items with featureGroups)`
+      : `  Hubs    no held-out items with featureGroups — hub labels need a portal sync that stores them`,
+    `💾 Saved ${path.basename(CLASSIFIER_FILE)} (trained on all ${examples.length} items)`,
+  ].join('\n');
 }
 
 function slugify(title) {
@@ -407,6 +817,55 @@ function slugify(title) {
     .substring(0, 80);
 }
 
+// ─── Publish Dates ──────────────────────────────────────────────────────────
+//
+// Every item carries pubDate plus dateConfidence:
+//   exact     — the source's own timestamp (RSS pubDate, portal updatedAt,
+//               community post date, Releasebot post date)
+//   inferred  — read from the title ("Top Product Updates for January 2026")
+//   scan-time — nothing better found; pubDate is when a scan first saw it
+
+const DATE_CONFIDENCE_RANK = { 'scan-time': 0, inferred: 1, exact: 2 };
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_NAME = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+
+// Dates in titles are the rollup's month or an announcement day. Future dates
+// are deadlines ("retiring in June 2027"), not publish dates.
+function inferDateFromText(text) {
+  if (!text) return null;
+  const day = text.match(new RegExp(`\\b${MONTH_NAME}\\.? (\\d{1,2}),? (\\d{4})\\b`, 'i'));
+  const month = text.match(new RegExp(`\\b${MONTH_NAME} (\\d{4})\\b`, 'i'));
+  let date = null;
+  if (day) date = new Date(Date.UTC(+day[3], MONTHS.indexOf(day[1].slice(0, 3).toLowerCase()), +day[2]));
+  else if (month) date = new Date(Date.UTC(+month[2], MONTHS.indexOf(month[1].slice(0, 3).toLowerCase()), 1));
+  if (!date || isNaN(date) || date > scanTime()) return null;
+  return date.toISOString();
+}
+
+function datedAs(exactValue, titleHint) {
+  const exact = toISODate(exactValue);
+  if (exact) return { pubDate: exact, dateConfidence: 'exact' };
+  const inferred = inferDateFromText(titleHint);
+  if (inferred) return { pubDate: inferred, dateConfidence: 'inferred' };
+  return { pubDate: scanTime().toISOString(), dateConfidence: 'scan-time' };
+}
+
+// A more trustworthy date always wins; at equal confidence the newer one does
+// (portal updatedAt moves forward). A scan-time date never replaces anything:
+// the first sighting is the best guess we have.
+// precedence: comparePrecedence() of the incoming source vs the one that set
+// the stored date — only consulted when both dates are equally confident
+function prefersIncomingDate(incoming, existing, precedence = 0) {
+  if (!incoming.pubDate) return false;
+  if (!existing.pubDate) return true;
+  if (incoming.dateConfidence === 'scan-time') return false;
+  const incomingRank = DATE_CONFIDENCE_RANK[incoming.dateConfidence] ?? 0;
+  const existingRank = DATE_CONFIDENCE_RANK[existing.dateConfidence] ?? 0;
+  if (incomingRank !== existingRank) return incomingRank > existingRank;
+  if (precedence !== 0) return precedence > 0;
+  return new Date(incoming.pubDate) > new Date(existing.pubDate);
+}
+
 // Filter out noise - titles that are clearly section headers, not features
 const NOISE_PATTERNS = [
   /^questions or comments/i,
@@ -456,27 +915,120 @@ const INFORMATIONAL_PATTERNS = [
   /^app marketplace/i,                                           // marketplace meta posts
 ];
 
-function isRollupPost(title) {
-  return ROLLUP_PATTERNS.some(pat => pat.test(title.trim()));
+// Each *Rule() returns the { rule, reason } that rejects a title, or null.
+// Pattern rules are named list:hash, the hash taken from the pattern itself
+// (e.g. informational:d2c3169c), so adding or removing a pattern leaves the others' IDs alone.
+const patternId = pat => crypto.createHash('md5').update(`${pat.source}/${pat.flags}`).digest('hex').slice(0, 8);
+
+function patternRule(patterns, name, title) {
+  const pat = patterns.find(p => p.test(title.trim()));
+  return pat ? { rule: `${name}:${patternId(pat)}`, reason: `matches ${pat}` } : null;
 }
 
-function isInformationalPost(title) {
-  return INFORMATIONAL_PATTERNS.some(pat => pat.test(title.trim()));
+function rollupRule(title) {
+  return patternRule(ROLLUP_PATTERNS, 'rollup', title);
 }
 
-function isNoise(title) {
-  return NOISE_PATTERNS.some(pat => pat.test(title.trim()));
+function informationalRule(title) {
+  return patternRule(INFORMATIONAL_PATTERNS, 'informational', title);
+}
+
+function noiseRule(title) {
+  return patternRule(NOISE_PATTERNS, 'noise', title);
 }
 
 // Check if title is a real feature/update name (not a section header)
-function isValidTitle(title) {
-  if (!title || title.length < 15 || title.length > 200) return false;
-  if (isNoise(title)) return false;
+function titleRule(title) {
+  if (!title || title.length < 15) return { rule: 'title:short', reason: `${title?.length || 0} characters, under 15` };
+  if (title.length > 200) return { rule: 'title:long', reason: `${title.length} characters, over 200` };
+  const noise = noiseRule(title);
+  if (noise) return noise;
   // Must contain at least one uppercase letter (proper name/feature)
-  if (!/[A-Z]/.test(title)) return false;
+  if (!/[A-Z]/.test(title)) return { rule: 'title:lowercase', reason: 'no uppercase letter, so not a feature name' };
+  return null;
+}
+
+function isRollupPost(title) {
+  return Boolean(rollupRule(title));
+}
+
+// ─── Rejection Log ──────────────────────────────────────────────────────────
+//
+// Parsers report every title they drop through rejected(), so a scan can save
+// what it threw away and why (state.rejections, browsed with --rejections or
+// GET /api/rejections). A title promoted with --promote is let through from
+// then on (state.promotions).
+
+const scanRejections = [];
+const promotedTitles = new Set();
+
+// item: { source, sourceUrl, pubDate, dateConfidence } of the dropped post.
+// Returns true when the title should be dropped.
+function rejected(title, rule, item) {
+  if (!rule || promotedTitles.has(title.trim())) return false;
+  scanRejections.push({ title: title.trim(), ...rule, ...item });
   return true;
 }
 
+// One entry per title/source/rule; section headers repeat across posts
+function collectRejections() {
+  const byKey = new Map();
+  for (const entry of scanRejections) {
+    const key = `${entry.source}|${entry.rule}|${entry.title}`;
+    if (byKey.has(key)) byKey.get(key).count++;
+    else byKey.set(key, { ...entry, count: 1 });
+  }
+  return [...byKey.values()];
+}
+
+function findRejection(state, query = '') {
+  const q = query.trim().toLowerCase();
+  const items = state.rejections?.items || [];
+  const exact = items.find(r => r.title.toLowerCase() === q || slugify(r.title) === q);
+  if (exact || !q) return exact || null;
+  // Otherwise a fragment that picks out exactly one title
+  const partial = items.filter(r => r.title.toLowerCase().includes(q));
+  return partial.length === 1 ? partial[0] : null;
+}
+
+function listRejections(state, filter = '') {
+  const q = filter.toLowerCase();
+  const items = (state.rejections?.items || [])
+    .filter(r => !q || [r.title, r.source, r.rule].some(v => v.toLowerCase().includes(q)));
+  if (!items.length) return filter ? `No rejected titles matching "${filter}".` : 'No rejected titles in the last scan.';
+  const lines = [`🚫 ${items.length} title${items.length === 1 ? '' : 's'} rejected in the scan of ${state.rejections.scannedAt}:`];
+  for (const r of items) {
+    lines.push(`  ${r.title}${r.count > 1 ? ` (×${r.count})` : ''}`);
+    lines.push(`    ${r.source} · ${r.rule} — ${r.reason}`);
+  }
+  lines.push('', 'Track one with: node index.js --promote "<title>"');
+  return lines.join('\n');
+}
+
+// Tracks a wrongly rejected title now, and lets it through every later scan
+function promoteRejection(state, query) {
+  const entry = findRejection(state, query || '');
+  if (!entry) return `❌ No single rejected title matches "${query}" (see --rejections)`;
+
+  state.promotions = state.promotions || {};
+  state.promotions[entry.title] = { source: entry.source, rule: entry.rule, promotedAt: scanTime().toISOString() };
+  state.rejections.items = state.rejections.items.filter(r => r !== entry);
+
+  const item = {
+    id: slugify(entry.title),
+    title: entry.title,
+    description: '',
+    status: detectStatus(entry.title),
+    ...taxonomyFields(entry.title),
+    source: entry.source,
+    sourceUrl: entry.sourceUrl,
+    pubDate: entry.pubDate || scanTime().toISOString(),
+    dateConfidence: entry.pubDate ? entry.dateConfidence : 'scan-time',
+  };
+  const changes = mergeResults(state, [item], loadFieldPrecedence());
+  return `✅ Promoted "${entry.title}" (was ${entry.rule})${changes.new.length ? ` → tracked as ${item.id}` : ` → already tracked as ${item.id}`}`;
+}
+
 function stripHTML(html) {
   if (!html) return '';
   return html
@@ -497,35 +1049,70 @@ function cleanDescription(text) {
     .replace(/\s+/g, ' ').trim();
 }
 
-function loadState() {
-  if (fs.existsSync(STATE_FILE)) {
-    const raw = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
-    // Normalize flat format (raw keys are beta IDs) vs wrapped format {betas: {...}}
-    if (raw && !raw.betas && !raw.lastScan && !raw.scanCount) {
-      // Flat format - wrap it
-      return { betas: raw, lastScan: null, scanCount: 0 };
-    }
-    return raw;
+// State lives in the STORAGE_BACKEND store (lib/storage.js). Recordings hold
+// JSON state, so a replay always runs on the JSON store at statePath.
+// Whatever it loads is migrated to SCHEMA_VERSION first (lib/migrations.js).
+let store = null;
+
+function stateStore() {
+  if (!store) {
+    const options = capture.mode === 'replay' ? { backend: 'json', file: statePath } : { dir: __dirname };
+    store = openStore({ ...options, upgrade: upgradeState });
   }
-  return { betas: {}, lastScan: null, scanCount: 0 };
+  return store;
+}
+
+function upgradeState(state) {
+  const { from, to, applied } = migrateState(state, { now: scanTime().toISOString() });
+  if (applied.length) console.log(`🧬 Migrated state from schema v${from} to v${to} (${applied.map(m => m.name).join(', ')})`);
+  return state;
+}
+
+function loadState() {
+  return stateStore().load();
 }
 
 function saveState(state) {
-  // Sort betas by pubDate (newest first) before saving
-  const sorted = {};
-  const entries = Object.entries(state.betas || {})
-    .sort((a, b) => {
-      const dateA = new Date(a[1].pubDate || 0).getTime();
-      const dateB = new Date(b[1].pubDate || 0).getTime();
-      return dateB - dateA; // Newest first
-    });
+  stateStore().save(state);
+}
 
-  for (const [id, beta] of entries) {
-    sorted[id] = beta;
-  }
+// One-shot move from a state.json-format file into the configured store
+function importJsonState(file = STATE_FILE) {
+  const target = stateStore();
+  const source = openStore({ backend: 'json', file: path.resolve(file), upgrade: upgradeState });
+  if (target.backend === 'json' && path.resolve(target.file) === source.file) return `ℹ️ STORAGE_BACKEND is json — ${file} already is the store`;
+  if (!fs.existsSync(source.file)) return `❌ No state file at ${source.file}`;
+  const state = source.load();
+  target.save(state);
+  return `✅ Imported ${Object.keys(state.betas).length} items from ${source.file} into ${target.file} (${target.backend})`;
+}
+
+function exportJsonState(file) {
+  if (!file || file.startsWith('--')) return '❌ --export-json needs a file name';
+  const state = loadState();
+  openStore({ backend: 'json', file: path.resolve(file) }).save(state);
+  return `✅ Exported ${Object.keys(state.betas).length} items to ${path.resolve(file)}`;
+}
 
-  const sortedState = { ...state, betas: sorted };
-  fs.writeFileSync(STATE_FILE, JSON.stringify(sortedState, null, 2));
+// --migrate: load the stored state without the upgrade hook, run the pending
+// migrations and save (or, with --dry-run, only say what each would change)
+function migrateStoredState(dryRun) {
+  const raw = openStore(capture.mode === 'replay' ? { backend: 'json', file: statePath } : { dir: __dirname });
+  const state = raw.load();
+  const { from, to, applied } = migrateState(state, { now: scanTime().toISOString() });
+  if (!applied.length) return `✅ State is already at schema v${SCHEMA_VERSION}`;
+
+  const lines = [`🧬 Schema v${from} → v${to}${dryRun ? ' (dry run — nothing written)' : ''}`];
+  for (const { version, name, description, changed } of applied) {
+    lines.push(`  v${version} ${name} — ${description}: ${changed ? `${changed} changed` : 'no change'}`);
+  }
+  if (dryRun) {
+    lines.push('Run node index.js --migrate to apply.');
+  } else {
+    raw.save(state);
+    lines.push(`✅ Saved ${raw.file}`);
+  }
+  return lines.join('\n');
 }
 
 function saveHistory(report) {
@@ -538,40 +1125,243 @@ function saveHistory(report) {
     existing = JSON.parse(fs.readFileSync(file, 'utf8'));
   }
   existing.push({ ...report, timestamp: new Date().toISOString() });
-  fs.writeFileSync(file, JSON.stringify(existing, null, 2));
+  writeFileAtomic(file, JSON.stringify(existing, null, 2));
+
+  const compacted = compactHistory(HISTORY_DIR);
+  if (compacted.length) console.log(`🗜️ Compacted ${compacted.length} history day(s) older than ${HISTORY_RETENTION_DAYS} days into daily summaries`);
+}
+
+// ─── History Queries ────────────────────────────────────────────────────────
+//
+// history/<date>.json keeps every scan's raw runs for HISTORY_RETENTION_DAYS,
+// then a compacted daily summary (lib/history.js). Both read back as events.
+
+const EVENT_LABELS = { new: '🆕', statusChanged: '🔄', updated: '✏️', removed: '🗑️' };
+
+// --history [from] [to] [--type a,b]: dates default to the last 7 days
+function historyQuery(args) {
+  const idx = args.indexOf('--history');
+  const [from, to] = args.slice(idx + 1, idx + 3).filter(isDay);
+  const typeArg = args.includes('--type') ? args[args.indexOf('--type') + 1] || '' : '';
+  const types = typeArg ? typeArg.split(',').map(t => t.trim()).filter(Boolean) : EVENT_TYPES;
+  const unknown = types.find(t => !EVENT_TYPES.includes(t));
+  if (unknown) return { error: `❌ Unknown history type "${unknown}" — expected one of ${EVENT_TYPES.join(', ')}` };
+  const today = new Date().toISOString().slice(0, 10);
+  return { from: from || new Date(Date.now() - 7 * 86400_000).toISOString().slice(0, 10), to: to || today, types };
+}
+
+function listHistory(result) {
+  const { from, to, types, events } = result;
+  if (!events.length) return `No ${types.join('/')} events between ${from} and ${to}.`;
+  const lines = [`📜 ${events.length} event${events.length === 1 ? '' : 's'} between ${from} and ${to} (${types.join(', ')}):`];
+  let day = null;
+  for (const event of events) {
+    const date = String(event.at).slice(0, 10);
+    if (date !== day) lines.push('', date);
+    day = date;
+    const detail = event.type === 'statusChanged' || event.type === 'removed'
+      ? `\`${event.previousStatus}\` → \`${event.status}\``
+      : event.type === 'updated' ? (event.changedFields || []).join(', ') : `\`${event.status}\``;
+    lines.push(`  ${EVENT_LABELS[event.type]} ${event.title} — ${detail}`);
+  }
+  return lines.join('\n');
+}
+
+function compactHistoryCommand(dryRun) {
+  const days = compactHistory(HISTORY_DIR, { dryRun });
+  if (!days.length) return `✅ No raw history older than ${HISTORY_RETENTION_DAYS} days`;
+  const kb = bytes => `${Math.round(bytes / 1024)} KB`;
+  const before = days.reduce((sum, d) => sum + d.bytesBefore, 0);
+  const after = days.reduce((sum, d) => sum + d.bytesAfter, 0);
+  const lines = [`🗜️ ${dryRun ? 'Would compact' : 'Compacted'} ${days.length} history day(s) older than ${HISTORY_RETENTION_DAYS} days: ${kb(before)} → ${kb(after)}`];
+  for (const d of days) lines.push(`  ${d.date}: ${d.runs} run(s) → ${d.events} events, ${kb(d.bytesBefore)} → ${kb(d.bytesAfter)}`);
+  return lines.join('\n');
+}
+
+// ─── Backfill ───────────────────────────────────────────────────────────────
+//
+// --backfill <YYYY-MM-DD> makes the paged sources (Community board, Releasebot)
+// keep reading older pages until their posts predate that date. Each run reads
+// at most BACKFILL_MAX_PAGES pages per feed and leaves a checkpoint in
+// state.backfill[key] = { since, nextPage, oldestSeen, pagesRead, done, updatedAt }
+// so a multi-year archive builds up over several runs. Checkpoints are committed
+// in parse(), together with the items they produced: a source that times out
+// resumes from the same page next time.
+
+let backfillSince = null;
+const BACKFILL_MAX_PAGES = Number(process.env.BACKFILL_MAX_PAGES || 20);
+
+function configureBackfill(args) {
+  const idx = args.indexOf('--backfill');
+  if (idx === -1) return;
+  const since = new Date(args[idx + 1]);
+  if (!args[idx + 1] || isNaN(since)) throw new Error('--backfill requires a date, e.g. --backfill 2023-01-01');
+  backfillSince = since;
+  console.log(`⏪ Backfilling Community and Releasebot back to ${since.toISOString().slice(0, 10)} (max ${BACKFILL_MAX_PAGES} pages per feed this run)`);
+}
+
+// Pages to read this run for one feed, or null when not backfilling or when an
+// earlier run already reached the requested date. Page 1 is the regular scan.
+function backfillPlan(state, key) {
+  if (!backfillSince) return null;
+  const since = backfillSince.toISOString();
+  const checkpoint = state?.backfill?.[key];
+  if (checkpoint?.done && checkpoint.since <= since) return null;
+  const firstPage = checkpoint?.nextPage || 2;
+  return { key, since, firstPage, lastPage: firstPage + BACKFILL_MAX_PAGES - 1, pagesRead: checkpoint?.pagesRead || 0 };
+}
+
+// loadPage(n) → { count, oldest, ... } where count is posts not seen on earlier
+// pages. Stops at an empty page, at a page older than the target, or on error
+// (without marking the feed done, so the next run retries that page).
+async function readBackfillPages(plan, loadPage, ctx) {
+  const pages = [];
+  let page = plan.firstPage;
+  let oldestSeen = null;
+  let done = false;
+  for (; page <= plan.lastPage && !ctx?.signal?.aborted; page++) {
+    let result;
+    try {
+      result = await loadPage(page);
+    } catch (err) {
+      console.log(`  ✗ Backfill ${plan.key} page ${page}: ${err.message}`);
+      break;
+    }
+    if (!result?.count) { done = true; break; }
+    pages.push(result);
+    if (result.oldest && (!oldestSeen || result.oldest < oldestSeen)) oldestSeen = result.oldest;
+    if (result.oldest && result.oldest < plan.since) { done = true; page++; break; }
+  }
+  console.log(`  ⏪ ${plan.key}: read ${pages.length} older pages${oldestSeen ? `, back to ${oldestSeen.slice(0, 10)}` : ''}${done ? ' — reached the end' : ''}`);
+  return {
+    pages,
+    checkpoint: { since: plan.since, nextPage: page, oldestSeen, pagesRead: plan.pagesRead + pages.length, done, updatedAt: scanTime().toISOString() },
+  };
+}
+
+function commitBackfill(state, checkpoints) {
+  if (!state || !checkpoints || !Object.keys(checkpoints).length) return;
+  state.backfill = { ...state.backfill, ...checkpoints };
 }
 
 // ─── Source Parsers ─────────────────────────────────────────────────────────
 
-async function parseDevChangelog() {
+function devChangelogItems(xml) {
+  const parser = new XMLParser({ ignoreAttributes: false });
+  const items = parser.parse(xml)?.rss?.channel?.item || [];
+  return Array.isArray(items) ? items : [items];
+}
+
+// Rollup posts ("Developer updates for January 2026") are fetched in full so
+// parse can split them into one item per feature
+async function fetchDevChangelog(ctx) {
   console.log('📡 Fetching Developer Changelog RSS...');
-  const xml = await fetchURL(SOURCES.devChangelog.url);
-  if (!xml) return [];
+  const xml = await fetchURL(SOURCES.devChangelog.url, { ctx });
+  if (!xml) return null;
+
+  const rollups = [];
+  for (const item of devChangelogItems(xml)) {
+    if (!item.link || !isRollupPost(item.title || '')) continue;
+    const html = await fetchURL(item.link, { ctx });
+    if (html) rollups.push({ link: item.link, html });
+  }
+  return { xml, rollups };
+}
 
-  const parser = new XMLParser({ ignoreAttributes: false });
-  const feed = parser.parse(xml);
+// Deep link to a feature heading: its own id when the post has one, otherwise
+// a text fragment (#:~:text=) that browsers scroll to and highlight
+function headingAnchor(link, heading, title) {
+  const id = heading.getAttribute('id');
+  return id ? `${link}#${encodeURIComponent(id)}` : `${link}#:~:text=${encodeURIComponent(title)}`;
+}
+
+// Splits a rollup article into { title, description, section, url } features.
+// The heading level used most often for real feature names (h2, h3 or h4) is the
+// feature level; a higher heading above it ("Beta", "Sunsets") is the section.
+function splitRollupArticle(html, link) {
+  const root = parseHTML(html);
+  const body = root.querySelector('[itemprop="articleBody"], .blog-post__body, .post-body, article, main') || root;
+  const isFeatureHeading = el => isFeatureHeadingText(el.text?.trim() || '');
+
+  const counts = ['h2', 'h3', 'h4'].map(tag => ({ tag, n: body.querySelectorAll(tag).filter(isFeatureHeading).length }));
+  const level = counts.filter(c => c.n >= 2).sort((a, b) => b.n - a.n || b.tag.localeCompare(a.tag))[0]?.tag;
+  if (!level) return [];
+
+  const features = [];
+  let current = null;
+  let section = '';
+  for (const el of body.querySelectorAll('h2, h3, h4, p, li')) {
+    const tag = el.rawTagName.toLowerCase();
+    if (/^h[234]$/.test(tag)) {
+      if (tag === level && isFeatureHeading(el)) {
+        const title = el.text.trim().replace(/^\d+\.\s*/, '');
+        current = { title, description: '', section, url: headingAnchor(link, el, title) };
+        features.push(current);
+      } else if (tag < level) { // 'h2' < 'h3': a heading above feature level opens a section
+        section = el.text.trim();
+        current = null;
+      } else if (tag === level) {
+        current = null; // noise heading at feature level ends the previous feature
+        rejected(el.text.trim(), headingRule(el.text.trim()), { source: 'dev-changelog', sourceUrl: link });
+      }
+      continue;
+    }
+    // Paragraphs inside list items are already part of the item's text
+    if (!current || (tag === 'p' && el.closest('li'))) continue;
+    const text = el.text.replace(/\s+/g, ' ').trim();
+    if (text.length > 20) current.description += (current.description ? ' ' : '') + text;
+  }
+  return features;
+}
 
-  const items = feed?.rss?.channel?.item || [];
-  const arr = Array.isArray(items) ? items : [items];
+function parseDevChangelog(raw) {
+  if (!raw?.xml) return [];
 
+  const rollupHtml = new Map((raw.rollups || []).map(r => [r.link, r.html]));
   const results = [];
+  let expandedRollups = 0;
   let skippedRollups = 0;
   let skippedInfo = 0;
-  for (const item of arr) {
+  for (const item of devChangelogItems(raw.xml)) {
     const title = item.title || '';
     const desc = stripHTML(item.description || item['content:encoded'] || '');
     const combined = `${title} ${desc}`;
+    const dropped = { source: 'dev-changelog', sourceUrl: item.link || SOURCES.devChangelog.url, ...datedAs(item.pubDate, title) };
 
-    if (!isValidTitle(title)) continue;
+    if (rejected(title, titleRule(title), dropped)) continue;
 
-    // Skip rollup/summary posts - their individual items come from community scraper
-    if (isRollupPost(title)) {
-      skippedRollups++;
+    // Rollup/summary posts are split into their features; if the article
+    // couldn't be fetched or split, skip it as before
+    const rollup = rollupRule(title);
+    const features = rollup && rollupHtml.has(item.link) ? splitRollupArticle(rollupHtml.get(item.link), item.link) : [];
+    if (rollup && features.length < 2) {
+      if (rejected(title, { ...rollup, reason: `rollup that could not be split into features (${rollup.reason})` }, dropped)) {
+        skippedRollups++;
+        continue;
+      }
+    } else if (rollup) {
+      for (const f of features) {
+        const featureText = `${f.section} ${f.title} ${f.description}`;
+        results.push({
+          id: slugify(f.title),
+          title: f.title,
+          description: f.description.substring(0, 500),
+          status: detectStatus(featureText),
+          ...taxonomyFields(`${f.title} ${f.description}`),
+          source: 'dev-changelog',
+          sourceUrl: f.url,
+          ...datedAs(item.pubDate, title),
+          author: item.author || null,
+          rollup: { title: title.trim(), url: item.link },
+        });
+      }
+      expandedRollups++;
+      console.log(`    📦 Rollup: "${title.substring(0, 50)}" → ${features.length} features`);
       continue;
     }
 
     // Skip informational/meta posts
-    if (isInformationalPost(title)) {
+    if (rejected(title, informationalRule(title), dropped)) {
       skippedInfo++;
       continue;
     }
@@ -581,15 +1371,15 @@ async function parseDevChangelog() {
       title: title.trim(),
       description: desc.substring(0, 500),
       status: detectStatus(combined),
-      hubs: detectHubs(combined),
+      ...taxonomyFields(combined),
       source: 'dev-changelog',
       sourceUrl: item.link || SOURCES.devChangelog.url,
-      pubDate: item.pubDate || null,
+      ...datedAs(item.pubDate, title),
       author: item.author || null,
     });
   }
 
-  console.log(`  ✓ Found ${results.length} items (skipped ${skippedRollups} rollups, ${skippedInfo} informational)`);
+  console.log(`  ✓ Found ${results.length} items (expanded ${expandedRollups} rollups, skipped ${skippedRollups} rollups, ${skippedInfo} informational)`);
   return results;
 }
 
@@ -597,69 +1387,136 @@ async function parseDevChangelog() {
  * Community Updates — Uses Playwright when available, falls back to RSS feed.
  * Playwright extracts individual features from monthly roundup posts.
  * RSS fallback captures standalone announcements as single items.
+ *
+ * fetch returns `{ via: 'playwright', threads, posts }` or `{ via: 'rss', xml }`;
+ * parse turns either capture into tracker items.
  */
-async function parseCommunityUpdates() {
+async function fetchCommunityUpdates(ctx) {
   console.log('📡 Fetching Community Releases & Updates...');
 
   // Try Playwright first (rich feature extraction)
-  const playwrightItems = await tryPlaywrightCommunity();
-  if (playwrightItems.length > 0) {
-    return playwrightItems;
+  const scraped = await tryPlaywrightCommunity(ctx);
+  if (scraped && parsePlaywrightCommunity(scraped).length > 0) {
+    return { via: 'playwright', ...scraped };
   }
 
   // Fallback: use RSS feed for basic coverage
   console.log('  → Falling back to RSS feed (Playwright unavailable or failed)');
-  return await parseCommunityRSS();
+  return { via: 'rss', xml: await fetchCommunityRSS(ctx) };
+}
+
+function parseCommunityUpdates(raw, ctx) {
+  if (!raw) return [];
+  if (raw.via === 'playwright') {
+    const results = parsePlaywrightCommunity(raw);
+    commitBackfill(ctx?.state, raw.backfill);
+    console.log(`  ✓ Community (Playwright): ${results.length} items`);
+    return results;
+  }
+  return parseCommunityRSS(raw.xml);
 }
 
-async function tryPlaywrightCommunity() {
+// Only the board's first page as Playwright sees it; the RSS fallback lists a
+// different window of posts, so it says nothing about what was withdrawn
+function communityCoverage(raw) {
+  if (raw?.via !== 'playwright') return {};
+  const dates = raw.threads.filter(t => !t.backfill).map(t => toISODate(t.postedAt)).filter(Boolean).sort();
+  return dates.length ? { community: dates[0] } : {};
+}
+
+// Monthly roundups get drilled into for their H4 features; everything else is a standalone post
+function classifyCommunityThreads(threads) {
+  const monthlyPosts = threads.filter(t =>
+    /top product updates for|product update[s]? for|^\w+ \d{4} product update/i.test(t.text)
+  );
+  const standalonePosts = threads.filter(t =>
+    !monthlyPosts.includes(t) && !/(release notes|industry edit|collection|app update|marketplace)/i.test(t.text)
+  );
+  return { monthlyPosts, standalonePosts };
+}
+
+function communityUrl(href) {
+  return href.startsWith('http') ? href : `https://community.hubspot.com${href}`;
+}
+
+// Runs in the page (Playwright serializes it), so it must stay self-contained
+function extractBoardThreads() {
+  const links = document.querySelectorAll('a[href*="/Releases-and-Updates/"]');
+  const seen = new Set();
+  // Khoros renders post dates as <span class="local-date"> (or <time>) in the thread's row
+  const postedAt = a => {
+    const row = a.closest('.lia-list-row, .message-list-item, tr, li, article');
+    const el = row && row.querySelector('time[datetime], .local-date, .DateTime');
+    return el ? (el.getAttribute('datetime') || el.textContent.trim()) : null;
+  };
+  return [...links]
+    .map(a => ({ text: a.textContent.trim(), href: a.getAttribute('href'), postedAt: postedAt(a) }))
+    .filter(t => {
+      if (!t.text || t.text.length < 10 || seen.has(t.href)) return false;
+      if (t.text.includes('Releases and Updates') && !t.text.includes('Product')) return false;
+      seen.add(t.href);
+      return true;
+    });
+}
+
+async function tryPlaywrightCommunity(ctx) {
   let chromium;
   try {
     ({ chromium } = await import('playwright'));
   } catch {
-    return [];
+    return null;
   }
 
   let browser;
+  const closeOnAbort = () => browser?.close().catch(() => {});
+  ctx?.signal?.addEventListener('abort', closeOnAbort);
   try {
     browser = await chromium.launch({ headless: true });
-    const page = await browser.newPage();
-
-    await page.goto(SOURCES.communityUpdates.url, { waitUntil: 'networkidle', timeout: 30000 });
-
-    const threads = await page.evaluate(() => {
-      const links = document.querySelectorAll('a[href*="/Releases-and-Updates/"]');
-      const seen = new Set();
-      return [...links]
-        .map(a => ({ text: a.textContent.trim(), href: a.getAttribute('href') }))
-        .filter(t => {
-          if (!t.text || t.text.length < 10 || seen.has(t.href)) return false;
-          if (t.text.includes('Releases and Updates') && !t.text.includes('Product')) return false;
-          seen.add(t.href);
-          return true;
-        });
-    });
+    // Replayed snapshots are already-rendered DOM: don't let page scripts run again
+    const context = await browser.newContext(capture.mode === 'replay' ? { javaScriptEnabled: false } : {});
+    const page = await context.newPage();
+
+    await loadCommunityPage(page, SOURCES.communityUpdates.url);
+
+    const threads = await page.evaluate(extractBoardThreads);
 
     console.log(`  ✓ Found ${threads.length} threads on board`);
 
-    const monthlyPosts = threads.filter(t =>
-      /top product updates for|product update[s]? for|^\w+ \d{4} product update/i.test(t.text)
-    );
-    const standalonePosts = threads.filter(t =>
-      !monthlyPosts.includes(t) && !/(release notes|industry edit|collection|app update|marketplace)/i.test(t.text)
-    );
+    let backfill = null;
+    const plan = backfillPlan(ctx?.state, 'community');
+    if (plan) {
+      const seenHrefs = new Set(threads.map(t => t.href));
+      const read = await readBackfillPages(plan, async n => {
+        await loadCommunityPage(page, `${SOURCES.communityUpdates.url}/page/${n}`);
+        const older = (await page.evaluate(extractBoardThreads))
+          .filter(t => !seenHrefs.has(t.href))
+          .map(t => ({ ...t, backfill: true }));
+        older.forEach(t => seenHrefs.add(t.href));
+        const dates = older.map(t => toISODate(t.postedAt)).filter(Boolean).sort();
+        return { count: older.length, oldest: dates[0] || null, threads: older };
+      }, ctx);
+      threads.push(...read.pages.flatMap(p => p.threads));
+      backfill = { community: read.checkpoint };
+    }
 
-    const results = [];
-    const pubDate = new Date().toISOString(); // Fallback date for community items
+    const { monthlyPosts } = classifyCommunityThreads(threads);
+    const posts = [];
 
     for (const post of monthlyPosts) {
-      const postUrl = post.href.startsWith('http') ? post.href : `https://community.hubspot.com${post.href}`;
+      const postUrl = communityUrl(post.href);
       console.log(`  📄 Drilling into: ${post.text.substring(0, 60)}...`);
 
-      const postPage = await browser.newPage();
+      const postPage = await context.newPage();
       try {
-        await postPage.goto(postUrl, { waitUntil: 'networkidle', timeout: 30000 });
-        await postPage.waitForSelector('.lia-message-body-content', { timeout: 10000 }).catch(() => {});
+        await loadCommunityPage(postPage, postUrl, () =>
+          postPage.waitForSelector('.lia-message-body-content', { timeout: 10000 }).catch(() => {}));
+
+        const postedAt = await postPage.evaluate(() => {
+          const body = document.querySelector('.lia-message-body-content');
+          const message = body && body.closest('.lia-message-view-wrapper, .lia-panel-message, article');
+          const el = message && message.querySelector('.lia-message-posted-on .local-date, time[datetime], .local-date');
+          return el ? (el.getAttribute('datetime') || el.textContent.trim()) : null;
+        });
 
         const features = await postPage.evaluate(() => {
           const body = document.querySelector('.lia-message-body-content');
@@ -701,22 +1558,7 @@ async function tryPlaywrightCommunity() {
           return results;
         });
 
-        for (const f of features) {
-          const cleanTitle = f.title.replace(/^\d+\.\s*/, '').trim();
-          if (!cleanTitle || cleanTitle.length < 10 || !isValidTitle(cleanTitle)) continue;
-          const combined = `${cleanTitle} ${f.description} ${f.availability} ${f.hubSection || ''}`;
-          results.push({
-            id: slugify(cleanTitle),
-            title: cleanTitle,
-            description: f.description.substring(0, 500),
-            status: detectStatus(combined),
-            hubs: detectHubs(combined),
-            source: 'community',
-            sourceUrl: postUrl,
-            pubDate: pubDate,
-            availability: f.availability || null,
-          });
-        }
+        posts.push({ url: postUrl, title: post.text, postedAt: postedAt || post.postedAt, features });
         console.log(`    → ${features.length} features extracted`);
       } catch (err) {
         console.log(`    ✗ Failed: ${err.message}`);
@@ -725,39 +1567,82 @@ async function tryPlaywrightCommunity() {
       }
     }
 
-    for (const post of standalonePosts) {
-      const title = post.text.trim();
-      if (!isValidTitle(title)) continue;
-      if (isRollupPost(title) || isInformationalPost(title)) continue;
-      const fullUrl = post.href.startsWith('http') ? post.href : `https://community.hubspot.com${post.href}`;
+    return { threads, posts, backfill };
+  } catch (err) {
+    console.error(`  ✗ Playwright community scrape failed: ${err.message}`);
+    return null;
+  } finally {
+    ctx?.signal?.removeEventListener('abort', closeOnAbort);
+    if (browser) await browser.close().catch(() => {});
+  }
+}
+
+// Navigates live (recording the rendered DOM when --record is on) or loads the
+// recorded DOM snapshot on --replay, so the same page.evaluate() extraction runs either way
+async function loadCommunityPage(page, url, waitForReady) {
+  const { body } = await capturedRequest('dom', url, 'html', async () => {
+    await page.goto(url, { waitUntil: 'networkidle', timeout: 30000 });
+    if (waitForReady) await waitForReady();
+    return { status: 200, body: capture.mode === 'record' ? await page.content() : null };
+  });
+  if (capture.mode !== 'replay') return;
+  if (body == null) throw new Error(`No DOM snapshot recorded for ${url}`);
+  await page.setContent(body, { waitUntil: 'domcontentloaded' });
+}
+
+function parsePlaywrightCommunity({ threads, posts }) {
+  const results = [];
+
+  for (const post of posts) {
+    for (const f of post.features) {
+      const cleanTitle = f.title.replace(/^\d+\.\s*/, '').trim();
+      if (rejected(cleanTitle, titleRule(cleanTitle), { source: 'community', sourceUrl: post.url, ...datedAs(post.postedAt, post.title) })) continue;
+      const combined = `${cleanTitle} ${f.description} ${f.availability} ${f.hubSection || ''}`;
       results.push({
-        id: slugify(title),
-        title,
-        description: '',
-        status: detectStatus(title),
-        hubs: detectHubs(title),
+        id: slugify(cleanTitle),
+        title: cleanTitle,
+        description: f.description.substring(0, 500),
+        status: detectStatus(combined),
+        ...taxonomyFields(combined),
         source: 'community',
-        sourceUrl: fullUrl,
-        pubDate: pubDate,
+        sourceUrl: post.url,
+        // Features in a monthly post date from the post itself
+        ...datedAs(post.postedAt, post.title),
+        availability: null,
+        ...availabilityFields(f.availability),
       });
     }
+  }
 
-    console.log(`  ✓ Community (Playwright): ${results.length} items`);
-    return results;
-  } catch (err) {
-    console.error(`  ✗ Playwright community scrape failed: ${err.message}`);
-    return [];
-  } finally {
-    if (browser) await browser.close();
+  for (const post of classifyCommunityThreads(threads).standalonePosts) {
+    const title = post.text.trim();
+    const dropped = { source: 'community', sourceUrl: communityUrl(post.href), ...datedAs(post.postedAt, title) };
+    if (rejected(title, titleRule(title) || rollupRule(title) || informationalRule(title), dropped)) continue;
+    results.push({
+      id: slugify(title),
+      title,
+      description: '',
+      status: detectStatus(title),
+      ...taxonomyFields(title),
+      source: 'community',
+      sourceUrl: communityUrl(post.href),
+      ...datedAs(post.postedAt, title),
+    });
   }
+
+  return results;
 }
 
-async function parseCommunityRSS() {
-  // Fallback using HubSpot Community RSS feed
-  const rssUrl = 'https://community.hubspot.com/mjmao93648/rss/boardmessages?board.id=releases-updates';
-  console.log(`📡 Fetching Community RSS: ${rssUrl}`);
+// Fallback using HubSpot Community RSS feed
+const COMMUNITY_RSS_URL = 'https://community.hubspot.com/mjmao93648/rss/boardmessages?board.id=releases-updates';
+
+async function fetchCommunityRSS(ctx) {
+  console.log(`📡 Fetching Community RSS: ${COMMUNITY_RSS_URL}`);
+  return fetchURL(COMMUNITY_RSS_URL, { ctx });
+}
+
+function parseCommunityRSS(xml) {
   try {
-    const xml = await fetchURL(rssUrl);
     if (!xml) return [];
 
     const parser = new XMLParser();
@@ -768,26 +1653,25 @@ async function parseCommunityRSS() {
     const results = [];
     for (const item of itemList) {
       const title = (item.title || '').trim();
-      if (!isValidTitle(title)) continue;
-      if (isRollupPost(title) || isInformationalPost(title)) continue;
-
       const link = item.link || '';
+      const dropped = { source: 'community', sourceUrl: link, ...datedAs(item.pubDate, title) };
+      if (rejected(title, titleRule(title) || rollupRule(title) || informationalRule(title), dropped)) continue;
+
       const description = (item.description || '')
         .replace(/<[^>]+>/g, ' ')
         .replace(/\s+/g, ' ')
         .trim()
         .substring(0, 300);
-      const pubDate = item.pubDate || new Date().toISOString();
 
       results.push({
         id: slugify(title),
         title,
         description,
         status: detectStatus(title + ' ' + description),
-        hubs: detectHubs(title + ' ' + description),
+        ...taxonomyFields(title + ' ' + description),
         source: 'community',
         sourceUrl: link,
-        pubDate: new Date(pubDate).toISOString(),
+        ...datedAs(item.pubDate, title),
       });
     }
 
@@ -801,9 +1685,8 @@ async function parseCommunityRSS() {
 
 // parseProductUpdates - hubspot.com/product-updates is fully JS-rendered and
 // returns empty HTML. All its content is already captured via the community
-// monthly posts and releasebot. Kept as a no-op for source parity.
-async function parseProductUpdates() {
-  console.log('📡 Product Updates page - skipped (JS-rendered, covered by community + releasebot)');
+// monthly posts and releasebot. Registered disabled for source parity.
+function parseProductUpdates() {
   return [];
 }
 
@@ -826,8 +1709,14 @@ const H4_NOISE_PATTERNS = [
   /^note:/i,
 ];
 
-function isNoiseH4(title) {
-  return H4_NOISE_PATTERNS.some(pat => pat.test(title.trim()));
+// Headings inside a rollup post that are its structure, not feature names
+function headingRule(title) {
+  if (title.length < 10) return { rule: 'heading:short', reason: `${title.length} characters, under 10` };
+  return patternRule(H4_NOISE_PATTERNS, 'h4', title) || noiseRule(title);
+}
+
+function isFeatureHeadingText(title) {
+  return !headingRule(title) || promotedTitles.has(title);
 }
 
 // Releasebot.io aggregator - scrapes individual product updates from their pages.
@@ -840,38 +1729,84 @@ function isNoiseH4(title) {
 //   C) TOC-style rollups (e.g. "Developer updates for January 2026") - <ul><li> feature list
 //   D) Single-feature posts - H2 is the feature, expandable has details
 //   E) CTA/ads - no H2, skip entirely
-async function parseReleasebot() {
-  console.log('📡 Fetching Releasebot product & developer updates...');
+const RELEASEBOT_PAGES = [
+  { url: 'https://releasebot.io/updates/hubspot', sourceLabel: 'releasebot-product' },
+  { url: 'https://releasebot.io/updates/hubspot/hubspot-developers', sourceLabel: 'releasebot-dev' },
+];
+
+// Helper to extract date from Releasebot LI structure
+function extractReleasebotDate(li) {
+  // Date is in the first div (before the h2): "Mar 16, 2026"
+  const firstDiv = li.querySelector(':scope > div');
+  if (!firstDiv) return null;
+  const dateText = firstDiv.text?.trim() || '';
+  const dateMatch = dateText.match(/([A-Za-z]+ \d{1,2}, \d{4})/);
+  if (dateMatch) {
+    try {
+      return new Date(dateMatch[1]).toISOString();
+    } catch (e) {
+      return null;
+    }
+  }
+  return null;
+}
+
+// Older posts are at ?page=N. A site that ignores the parameter just serves the
+// first page again, which readBackfillPages() sees as "no new posts" and stops.
+function releasebotPageUrl(url, n) {
+  return `${url}?page=${n}`;
+}
 
-  const pages = [
-    { url: 'https://releasebot.io/updates/hubspot', sourceLabel: 'releasebot-product' },
-    { url: 'https://releasebot.io/updates/hubspot/hubspot-developers', sourceLabel: 'releasebot-dev' },
-  ];
+function releasebotPosts(html) {
+  const mainUl = parseHTML(html).querySelector('ul.border-y');
+  if (!mainUl) return [];
+  return mainUl.querySelectorAll(':scope > li')
+    .map(li => ({ title: li.querySelector('h2')?.text?.trim() || '', date: extractReleasebotDate(li) }))
+    .filter(post => post.title);
+}
 
-  const results = [];
+async function fetchReleasebot(ctx) {
+  console.log('📡 Fetching Releasebot product & developer updates...');
+  const pages = [];
+  const backfill = {};
+  for (const page of RELEASEBOT_PAGES) {
+    const html = await fetchURL(page.url, { ctx });
+    if (html) pages.push({ ...page, html });
+
+    const plan = html && backfillPlan(ctx?.state, page.sourceLabel);
+    if (!plan) continue;
+    const seenTitles = new Set(releasebotPosts(html).map(post => post.title));
+    const read = await readBackfillPages(plan, async n => {
+      const url = releasebotPageUrl(page.url, n);
+      const older = await fetchURL(url, { ctx });
+      if (!older) throw new Error('fetch failed');
+      const posts = releasebotPosts(older).filter(post => !seenTitles.has(post.title));
+      posts.forEach(post => seenTitles.add(post.title));
+      const dates = posts.map(post => post.date).filter(Boolean).sort();
+      return { count: posts.length, oldest: dates[0] || null, page: { ...page, url, html: older, backfill: true } };
+    }, ctx);
+    pages.push(...read.pages.map(result => result.page));
+    backfill[page.sourceLabel] = read.checkpoint;
+  }
+  return { pages, backfill };
+}
 
-  // Helper to extract date from Releasebot LI structure
-  function extractReleasebotDate(li) {
-    // Date is in the first div (before the h2): "Mar 16, 2026"
-    const firstDiv = li.querySelector(':scope > div');
-    if (!firstDiv) return null;
-    const dateText = firstDiv.text?.trim() || '';
-    const dateMatch = dateText.match(/([A-Za-z]+ \d{1,2}, \d{4})/);
-    if (dateMatch) {
-      try {
-        return new Date(dateMatch[1]).toISOString();
-      } catch (e) {
-        return null;
-      }
-    }
-    return null;
+function releasebotCoverage({ pages } = {}) {
+  const oldest = {};
+  for (const page of pages || []) {
+    if (page.backfill) continue;
+    const dates = releasebotPosts(page.html).map(post => toISODate(post.date)).filter(Boolean).sort();
+    if (dates.length) oldest[page.sourceLabel] = dates[0];
   }
+  return oldest;
+}
 
-  for (const page of pages) {
-    const html = await fetchURL(page.url);
-    if (!html) continue;
+function parseReleasebot({ pages, backfill } = {}, ctx) {
+  const results = [];
+  commitBackfill(ctx?.state, backfill);
 
-    const root = parseHTML(html);
+  for (const page of pages || []) {
+    const root = parseHTML(page.html);
     const mainUl = root.querySelector('ul.border-y');
     if (!mainUl) { console.log(`  ✗ No main UL found on ${page.url}`); continue; }
 
@@ -879,16 +1814,18 @@ async function parseReleasebot() {
     let pageCount = 0;
 
     for (const li of postItems) {
-      const pubDate = extractReleasebotDate(li); // Extract date once per LI
       const h2 = li.querySelector('h2');
       const postTitle = h2?.text?.trim() || '';
+      const dated = datedAs(extractReleasebotDate(li), postTitle); // Extract date once per LI
 
       // Skip posts with no H2 (CTA/ad blocks)
       if (!postTitle || postTitle.length < 10) continue;
 
+      const dropped = { source: page.sourceLabel, sourceUrl: page.url, ...dated };
+
       // Skip noise and informational posts
-      if (isNoise(postTitle)) continue;
-      if (isInformationalPost(postTitle)) {
+      if (rejected(postTitle, noiseRule(postTitle), dropped)) continue;
+      if (rejected(postTitle, informationalRule(postTitle), dropped)) {
         console.log(`    ⏭ Skipping informational: "${postTitle.substring(0, 60)}"`);
         continue;
       }
@@ -910,15 +1847,14 @@ async function parseReleasebot() {
       if (expandable) {
         // Strategy 1: Extract H4 features (numbered or unnumbered)
         const h4s = expandable.querySelectorAll('h4');
-        const featureH4s = [...h4s].filter(h => {
-          const t = h.text?.trim() || '';
-          if (t.length < 10) return false;
-          if (isNoiseH4(t)) return false;
-          if (isNoise(t)) return false;
-          return true;
-        });
+        const featureH4s = [...h4s].filter(h => isFeatureHeadingText(h.text?.trim() || ''));
 
         if (featureH4s.length >= 2) {
+          // The headings left out sit next to real features, so log them
+          for (const h4 of h4s) {
+            const t = h4.text?.trim() || '';
+            if (t && !featureH4s.includes(h4)) rejected(t, headingRule(t), dropped);
+          }
           // Multiple valid H4s = rollup post with sub-features
           for (const h4 of featureH4s) {
             const rawTitle = h4.text?.trim() || '';
@@ -942,10 +1878,10 @@ async function parseReleasebot() {
               title: cleanTitle,
               description: desc.substring(0, 500),
               status: detectStatus(combined),
-              hubs: detectHubs(combined),
+              ...taxonomyFields(combined),
               source: page.sourceLabel,
               sourceUrl: page.url,
-              pubDate: pubDate,
+              ...dated,
             });
             pageCount++;
           }
@@ -960,11 +1896,13 @@ async function parseReleasebot() {
           const innerUl = expandable.querySelector('ul');
           if (innerUl) {
             const featureLis = innerUl.querySelectorAll(':scope > li');
-            const featureNames = [...featureLis]
-              .map(li => li.text?.trim())
-              .filter(t => t && t.length >= 10 && !isNoise(t) && !isNoiseH4(t));
+            const listed = [...featureLis].map(li => li.text?.trim()).filter(Boolean);
+            const featureNames = listed.filter(isFeatureHeadingText);
 
             if (featureNames.length >= 3) {
+              for (const t of listed) {
+                if (!featureNames.includes(t)) rejected(t, headingRule(t), dropped);
+              }
               // Extract each feature - try to find its description in following paragraphs
               // Releasebot renders these as: FeatureNameDescription paragraph(s)...
               // The feature name appears as bold text at the start of a paragraph block.
@@ -991,10 +1929,10 @@ async function parseReleasebot() {
                   title: name,
                   description: desc.substring(0, 500),
                   status: detectStatus(combined),
-                  hubs: detectHubs(combined),
+                  ...taxonomyFields(combined),
                   source: page.sourceLabel,
                   sourceUrl: page.url,
-                  pubDate: pubDate,
+                  ...dated,
                 });
                 pageCount++;
               }
@@ -1006,23 +1944,24 @@ async function parseReleasebot() {
       }
 
       // If still not extracted and it's a rollup, skip it (covered by other sources)
-      if (!extractedFeatures && isRollupPost(postTitle)) {
+      const rollup = !extractedFeatures && rollupRule(postTitle);
+      if (rollup && rejected(postTitle, { ...rollup, reason: `rollup that could not be split into features (${rollup.reason})` }, dropped)) {
         console.log(`    ⏭ Skipping unexpanded rollup: "${postTitle.substring(0, 60)}"`);
         continue;
       }
 
       // Single-feature post - H2 title IS the feature
-      if (!extractedFeatures && isValidTitle(postTitle)) {
+      if (!extractedFeatures && !rejected(postTitle, titleRule(postTitle), dropped)) {
         const combined = `${postTitle} ${postSummary}`;
         results.push({
           id: slugify(postTitle),
           title: postTitle,
           description: postSummary.substring(0, 500),
           status: detectStatus(combined),
-          hubs: detectHubs(combined),
+          ...taxonomyFields(combined),
           source: page.sourceLabel,
           sourceUrl: page.url,
-          pubDate: pubDate,
+          ...dated,
         });
         pageCount++;
       }
@@ -1035,21 +1974,474 @@ async function parseReleasebot() {
   return results;
 }
 
-// ─── State Management & Diffing ─────────────────────────────────────────────
+// ─── Source Registry ────────────────────────────────────────────────────────
+//
+// Each feed is a source adapter registered with registerSource():
+//   id        — stable key, used in logs and state.health.sources
+//   name      — human-readable label
+//   priority  — lower wins: runs first and is preferred when deduplicating
+//   enabled   — boolean or () => boolean; DISABLED_SOURCES=id,id also switches sources off
+//   heavy     — run one at a time after the parallel batch (e.g. Playwright)
+//   timeoutMs — per-source budget; on timeout only this source's items are dropped
+//   backfillTimeoutMs — budget used instead under --backfill (sources that page through history)
+//   fetch(ctx)      → raw capture (XML, HTML, portal JSON pages…); ctx.signal aborts on
+//                     timeout, ctx.state is the loaded tracker state (for sync cursors)
+//   parse(raw, ctx) → tracker items
+//   coverage(raw)   → optional { [item source]: oldest date } the feed's regular first page
+//                     lists, for withdrawal detection; without it the scanned items' dates are used
+//   health()        → optional source-specific health merged into the run record
+
+const DEFAULT_SOURCE_TIMEOUT_MS = 60_000;
+const sourceRegistry = new Map();
+
+function registerSource(adapter) {
+  if (!adapter?.id || typeof adapter.fetch !== 'function' || typeof adapter.parse !== 'function') {
+    throw new Error(`Invalid source adapter: ${adapter?.id || 'missing id'}`);
+  }
+  if (sourceRegistry.has(adapter.id)) throw new Error(`Source already registered: ${adapter.id}`);
+  sourceRegistry.set(adapter.id, {
+    name: adapter.id,
+    priority: 100,
+    enabled: true,
+    heavy: false,
+    timeoutMs: DEFAULT_SOURCE_TIMEOUT_MS,
+    ...adapter,
+  });
+}
+
+function getSources() {
+  return [...sourceRegistry.values()].sort((a, b) => a.priority - b.priority);
+}
+
+function isSourceEnabled(adapter) {
+  const disabled = (process.env.DISABLED_SOURCES || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (disabled.includes(adapter.id)) return false;
+  return typeof adapter.enabled === 'function' ? Boolean(adapter.enabled()) : adapter.enabled !== false;
+}
+
+async function runSource(adapter, state) {
+  const startedAt = Date.now();
+  const controller = new AbortController();
+  const timeoutMs = (backfillSince && adapter.backfillTimeoutMs) || adapter.timeoutMs;
+  const timer = setTimeout(() => controller.abort(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+  const timedOut = new Promise((_, reject) => controller.signal.addEventListener('abort', () => reject(controller.signal.reason)));
+  const ctx = { signal: controller.signal, source: adapter, state };
+
+  let items = [];
+  let coverage = null;
+  let error = null;
+  try {
+    items = await Promise.race([
+      (async () => {
+        const raw = await adapter.fetch(ctx);
+        if (adapter.coverage) coverage = adapter.coverage(raw);
+        return adapter.parse(raw, ctx);
+      })(),
+      timedOut,
+    ]);
+    if (!Array.isArray(items)) throw new Error('parse() did not return an array');
+  } catch (err) {
+    error = err;
+    items = [];
+    console.error(`  ✗ Source ${adapter.id} failed: ${err.message}`);
+  } finally {
+    clearTimeout(timer);
+    if (!controller.signal.aborted) controller.abort(new Error('Source run finished'));
+    timedOut.catch(() => {});
+  }
+
+  // Source-specific health (e.g. portal auth state) refines the generic record; failures always win
+  const health = { ok: true, status: 'ok', message: `Parsed ${items.length} items`, ...(adapter.health ? adapter.health() : {}) };
+  if (error) {
+    Object.assign(health, { ok: false, status: controller.signal.reason === error ? 'timeout' : 'failed', message: error.message });
+  }
+  Object.assign(health, { itemsFound: items.length, durationMs: Date.now() - startedAt, checkedAt: new Date().toISOString() });
+
+  return { id: adapter.id, priority: adapter.priority, items, coverage, health };
+}
+
+// Light sources run in parallel, heavy ones sequentially afterwards.
+// Results come back in priority order regardless of completion order.
+async function runSources(state) {
+  const runs = [];
+  const enabled = [];
+  for (const adapter of getSources()) {
+    if (isSourceEnabled(adapter)) {
+      enabled.push(adapter);
+    } else {
+      console.log(`⏭ ${adapter.name} - disabled`);
+      runs.push({ id: adapter.id, priority: adapter.priority, items: [], health: { ok: null, status: 'disabled', itemsFound: 0 } });
+    }
+  }
+  runs.push(...await Promise.all(enabled.filter(a => !a.heavy).map(adapter => runSource(adapter, state))));
+  for (const adapter of enabled.filter(a => a.heavy)) {
+    runs.push(await runSource(adapter, state));
+  }
+  return runs.sort((a, b) => a.priority - b.priority);
+}
+
+registerSource({
+  id: 'portalUpdates',
+  name: SOURCES.portalUpdates.name,
+  priority: 10, // Official HubSpot + real descriptions
+  timeoutMs: 180_000,
+  fetch: fetchPortalUpdates,
+  parse: parsePortalUpdates,
+  health: () => currentPortalHealth,
+});
+
+registerSource({
+  id: 'releasebot',
+  name: 'Releasebot',
+  priority: 20, // Freshest news
+  backfillTimeoutMs: 30 * 60_000,
+  fetch: fetchReleasebot,
+  parse: parseReleasebot,
+  coverage: releasebotCoverage,
+});
+
+registerSource({
+  id: 'productUpdates',
+  name: SOURCES.productUpdates.name,
+  priority: 30,
+  enabled: false, // JS-rendered, covered by community + releasebot
+  fetch: async () => null,
+  parse: parseProductUpdates,
+});
+
+registerSource({
+  id: 'communityUpdates',
+  name: SOURCES.communityUpdates.name,
+  priority: 40,
+  heavy: true, // Playwright
+  timeoutMs: 300_000,
+  backfillTimeoutMs: 60 * 60_000,
+  fetch: fetchCommunityUpdates,
+  parse: parseCommunityUpdates,
+  coverage: communityCoverage,
+});
+
+registerSource({
+  id: 'devChangelog',
+  name: SOURCES.devChangelog.name,
+  priority: 50,
+  fetch: fetchDevChangelog,
+  parse: parseDevChangelog,
+});
+
+// ─── Cross-source Matching ──────────────────────────────────────────────────
+// The same feature often arrives from several sources under different titles
+// (and so different slug IDs). Matches fold into one canonical item; the other
+// IDs live on as `aliases` so a bad merge can be split back out (--split-merge).
+
+// Lower wins when picking which item a merge keeps
+const ITEM_SOURCE_PRIORITY = {
+  'portal-updates': 10,
+  'releasebot-product': 20,
+  'releasebot-dev': 20,
+  'product-updates': 30,
+  'community': 40,
+  'dev-changelog': 50,
+};
+
+function pairKey(a, b) {
+  return [a, b].sort().join('|');
+}
+
+function preferredCanonical(a, b) {
+  const portal = x => (x.id.startsWith('portal-') ? 0 : 1);
+  const priority = x => ITEM_SOURCE_PRIORITY[x.source] ?? 99;
+  if (portal(a) !== portal(b)) return portal(a) < portal(b) ? a : b;
+  if (priority(a) !== priority(b)) return priority(a) < priority(b) ? a : b;
+  // Same kind of source: keep whichever the tracker has known longest
+  return (b.firstSeen || '9') < (a.firstSeen || '9') ? b : a;
+}
+
+/**
+ * Matches scanned items against tracked items (and each other) across sources.
+ * Returns the items with alias IDs rewritten to their canonical ID, plus the
+ * merges found — applyMerges() records them once mergeResults() has run.
+ */
+function matchAcrossSources(state, items) {
+  const known = Object.values(state.betas || {});
+  const splits = new Set(state.mergeDecisions?.splits || []);
+
+  const redirect = new Map();
+  for (const item of known) {
+    for (const alias of item.aliases || []) redirect.set(alias.id, item.id);
+  }
+  const resolve = (id) => {
+    while (redirect.has(id)) id = redirect.get(id);
+    return id;
+  };
+
+  // Listing pages (Releasebot, the changelog index) are shared by many items;
+  // only a link that belongs to one or two items says anything about identity
+  const linkCounts = new Map();
+  for (const item of [...known, ...items]) {
+    if (item.sourceUrl) linkCounts.set(item.sourceUrl, (linkCounts.get(item.sourceUrl) || 0) + 1);
+  }
+  const matcher = createMatcher({ isSpecificLink: url => (linkCounts.get(url) || 0) <= 2 });
+  const byId = new Map();
+  for (const item of known) {
+    matcher.add(item);
+    byId.set(item.id, item);
+  }
+
+  const merges = [];
+  for (const item of items) {
+    if (resolve(item.id) !== item.id) continue;
+    const best = matcher.bestMatch(item, candidate =>
+      candidate.source !== item.source
+      && resolve(candidate.id) === candidate.id
+      && !(candidate.id.startsWith('portal-') && item.id.startsWith('portal-'))
+      && !splits.has(pairKey(candidate.id, item.id)));
+
+    if (best && isMatch(best.result)) {
+      const tracked = byId.get(item.id) || item;
+      const winner = preferredCanonical(tracked, best.item);
+      const loser = winner === tracked ? best.item : tracked;
+      redirect.set(loser.id, winner.id);
+      merges.push({ canonicalId: winner.id, aliasId: loser.id, result: best.result });
+      if (winner === tracked && !byId.has(item.id)) {
+        matcher.add(item);
+        byId.set(item.id, item);
+      }
+    } else if (!byId.has(item.id)) {
+      matcher.add(item);
+      byId.set(item.id, item);
+    }
+  }
+
+  const rewritten = items.map(item => {
+    const id = resolve(item.id);
+    if (id === item.id) return item;
+    return { ...item, id, title: byId.get(id)?.title || item.title, aliasOf: item.id };
+  });
+  return { items: rewritten, merges: merges.map(m => ({ ...m, canonicalId: resolve(m.canonicalId) })) };
+}
+
+// What an alias keeps of the merged item: enough for --split-merge to bring it
+// back as a tracked item. The next scan that sees it fills in the rest.
+const ALIAS_ITEM_FIELDS = ['title', 'description', 'status', 'hubs', 'areas', 'source', 'sourceUrl', 'pubDate', 'dateConfidence',
+  'availability', 'editions', 'addOns', 'firstSeen', 'lastSeen', 'statusHistory', 'provenance'];
+
+// The ALIAS_ITEM_FIELDS of an item
+function aliasItem(item) {
+  return Object.fromEntries(ALIAS_ITEM_FIELDS.filter(field => item[field] !== undefined).map(field => [field, item[field]]));
+}
 
-function mergeResults(state, newItems) {
-  // Ensure state is in wrapped format (loadState normalizes, but be defensive)
-  if (!state.betas) {
-    state.betas = {};
+// Records each merge as an alias on the canonical item and folds any tracked
+// item that turned out to be an alias into it
+function applyMerges(state, merges, scannedById, changes) {
+  const now = scanTime().toISOString();
+  for (const { canonicalId, aliasId, result } of merges) {
+    const canonical = state.betas[canonicalId];
+    if (!canonical || aliasId === canonicalId) continue;
+    const tracked = state.betas[aliasId];
+    const snapshot = tracked || scannedById.get(aliasId);
+    if (!snapshot) continue;
+
+    canonical.aliases = (canonical.aliases || []).filter(a => a.id !== aliasId);
+    canonical.aliases.push({
+      id: aliasId,
+      title: snapshot.title,
+      source: snapshot.source,
+      sourceUrl: snapshot.sourceUrl || null,
+      score: result.score,
+      match: { title: result.title, sharedLink: result.sharedLink, daysApart: result.daysApart },
+      mergedAt: now,
+      confirmed: false,
+      item: aliasItem(snapshot),
+    });
+
+    if (tracked) {
+      // A canonical item created this scan inherits the tracked item's past
+      if (canonical.firstSeen === now) {
+        canonical.statusHistory = [...(tracked.statusHistory || []), ...canonical.statusHistory];
+        changes.new = changes.new.filter(i => i.id !== canonicalId);
+      }
+      canonical.aliases.push(...(tracked.aliases || []));
+      canonical.sources = [...new Set([...(canonical.sources || [canonical.source]), ...(tracked.sources || [tracked.source])])];
+      if (tracked.firstSeen && tracked.firstSeen < canonical.firstSeen) canonical.firstSeen = tracked.firstSeen;
+      delete state.betas[aliasId];
+    } else if (!(canonical.sources || []).includes(snapshot.source)) {
+      canonical.sources = [...(canonical.sources || [canonical.source]), snapshot.source];
+    }
+    console.log(`  🔗 Merged "${snapshot.title}" (${snapshot.source}) into "${canonical.title}" — score ${result.score}`);
+  }
+}
+
+// ─── Merge Review (CLI) ─────────────────────────────────────────────────────
+
+function findAlias(state, aliasId) {
+  for (const item of Object.values(state.betas || {})) {
+    const alias = (item.aliases || []).find(a => a.id === aliasId);
+    if (alias) return { canonical: item, alias };
+  }
+  return null;
+}
+
+function listMerges(state) {
+  const pending = Object.values(state.betas || {}).flatMap(item =>
+    (item.aliases || []).filter(a => !a.confirmed).map(alias => ({ canonical: item, alias })));
+  if (!pending.length) return '✅ No unconfirmed merges.';
+  const lines = [`🔗 ${pending.length} unconfirmed merge(s) — confirm with --confirm-merge <aliasId>, undo with --split-merge <aliasId>\n`];
+  for (const { canonical, alias } of pending.sort((a, b) => a.alias.score - b.alias.score)) {
+    lines.push(`  ${alias.score.toFixed(2)}  ${canonical.title} [${canonical.source}]`);
+    lines.push(`        ↳ ${alias.title} [${alias.source}]  ${alias.id}`);
+  }
+  return lines.join('\n');
+}
+
+function confirmMerge(state, aliasId) {
+  const found = findAlias(state, aliasId);
+  if (!found) throw new Error(`No merged alias with id ${aliasId} (see --merges)`);
+  found.alias.confirmed = true;
+  found.alias.confirmedAt = new Date().toISOString();
+  return `✅ Confirmed "${found.alias.title}" as an alias of "${found.canonical.title}"`;
+}
+
+// Restores the alias as its own item and stops the pair from matching again
+function splitMerge(state, aliasId) {
+  const found = findAlias(state, aliasId);
+  if (!found) throw new Error(`No merged alias with id ${aliasId} (see --merges)`);
+  const { canonical, alias } = found;
+  canonical.aliases = canonical.aliases.filter(a => a !== alias);
+  if (!canonical.aliases.length) delete canonical.aliases;
+
+  const restored = { ...alias.item, id: alias.id };
+  delete restored.aliasOf;
+  restored.hubs = restored.hubs || ['Platform'];
+  restored.areas = restored.areas || [];
+  restored.sources = [restored.source];
+  restored.firstSeen = restored.firstSeen || alias.mergedAt;
+  restored.lastSeen = restored.lastSeen || alias.mergedAt;
+  restored.statusHistory = restored.statusHistory || [{ status: restored.status, date: alias.mergedAt, source: restored.source }];
+  // Stored items are at SCHEMA_VERSION: give fields an alias snapshot kept no
+  // provenance for the item's own source, as the field-provenance migration does
+  restored.provenance = restored.provenance || {};
+  for (const field of PROVENANCE_FIELDS) {
+    if (restored[field] && !restored.provenance[field]) restored.provenance[field] = { source: restored.source, at: restored.firstSeen };
+  }
+  state.betas[alias.id] = restored;
+
+  state.mergeDecisions = state.mergeDecisions || {};
+  state.mergeDecisions.splits = [...new Set([...(state.mergeDecisions.splits || []), pairKey(canonical.id, alias.id)])];
+  return `✂️  Split "${alias.title}" back out of "${canonical.title}"`;
+}
+
+// ─── Status Review (CLI) ────────────────────────────────────────────────────
+// Regressions held back by the lifecycle check (item.statusReview). Accepting
+// applies the status; rejecting drops it and ignores that source's claim from
+// then on.
+
+function statusClaim(item) {
+  return `${item.status}@${item.source}`;
+}
+
+function pendingStatusReviews(state) {
+  return Object.values(state.betas || {}).filter(item => item.statusReview);
+}
+
+function listStatusReviews(state) {
+  const pending = pendingStatusReviews(state);
+  if (!pending.length) return '✅ No status changes awaiting review.';
+  const lines = [`🧐 ${pending.length} status change(s) held for review — apply with --accept-status <id>, drop with --reject-status <id>\n`];
+  for (const item of pending) {
+    const r = item.statusReview;
+    lines.push(`  ${item.title}: \`${r.previousStatus}\` → \`${r.status}\` (${r.source}, since ${r.firstFlagged.slice(0, 10)})`);
+    lines.push(`        ${item.id}`);
+  }
+  return lines.join('\n');
+}
+
+function reviewedItem(state, id) {
+  const item = state.betas?.[id];
+  if (!item?.statusReview) throw new Error(`No status change awaiting review for ${id} (see --status-reviews)`);
+  return item;
+}
+
+function acceptStatus(state, id) {
+  const item = reviewedItem(state, id);
+  const { status, source } = item.statusReview;
+  const now = new Date().toISOString();
+  const before = revisionSnapshot(item);
+  const previousStatus = item.status;
+  item.status = status;
+  setProvenance(item, 'status', source, now);
+  item.statusHistory = [...(item.statusHistory || []), { status, date: now, source, previousStatus, reviewed: true }];
+  recordRevision(item, before, source, now);
+  delete item.statusReview;
+  return `✅ "${item.title}" is now \`${status}\` (was \`${previousStatus}\`)`;
+}
+
+function rejectStatus(state, id) {
+  const item = reviewedItem(state, id);
+  item.rejectedStatuses = [...new Set([...(item.rejectedStatuses || []), statusClaim(item.statusReview)])];
+  const { status, source } = item.statusReview;
+  delete item.statusReview;
+  return `🚫 Ignoring \`${status}\` from ${source} for "${item.title}"`;
+}
+
+// ─── Revision Log ───────────────────────────────────────────────────────────
+// item.revisions keeps one entry per scan that changed a tracked field:
+// { at, source, changes: { field: { from, to } } }, oldest first
+
+const REVISION_FIELDS = ['title', 'description', 'status', 'hubs', 'areas', 'pubDate', 'sourceUrl', 'availability', 'editions', 'addOns', 'impact', 'article'];
+const MAX_REVISIONS = Number(process.env.MAX_REVISIONS || 50);
+
+function revisionSnapshot(item) {
+  return Object.fromEntries(REVISION_FIELDS.map(field => [field, item[field] === undefined ? null : structuredClone(item[field])]));
+}
+
+// Returns the fields that changed since the snapshot (empty when none did)
+function recordRevision(item, before, source, at) {
+  const changed = {};
+  for (const field of REVISION_FIELDS) {
+    const to = item[field] === undefined ? null : item[field];
+    if (JSON.stringify(before[field]) !== JSON.stringify(to)) changed[field] = { from: before[field], to: structuredClone(to) };
+  }
+  const fields = Object.keys(changed);
+  if (fields.length) {
+    item.revisions = [...(item.revisions || []), { at, source, changes: changed }].slice(-MAX_REVISIONS);
   }
+  return fields;
+}
+
+// ─── State Management & Diffing ─────────────────────────────────────────────
+
+// Picks between two copies of one item from the same scan
+function prefersScannedCopy(item, existing, precedence) {
+  if (Boolean(item.aliasOf) !== Boolean(existing.aliasOf)) return !item.aliasOf;
+  const rank = comparePrecedence(precedence, 'description', item.source, existing.source);
+  if (rank !== 0) return rank > 0;
+  return (item.description?.length || 0) > (existing.description?.length || 0);
+}
+
+// Which source supplied a stored field; items from before provenance was
+// tracked are assumed to carry their original source's values
+function fieldSource(item, field) {
+  return item.provenance?.[field]?.source || item.source;
+}
+
+function setProvenance(item, field, source, at) {
+  item.provenance = item.provenance || {};
+  item.provenance[field] = { source, at };
+}
 
+// Stored items are at SCHEMA_VERSION (lib/migrations.js), so they already have
+// hubs, sources, statusHistory, dateConfidence, provenance and areas
+function mergeResults(state, newItems, precedence = DEFAULT_PRECEDENCE) {
   const changes = {
     new: [],
     statusChanged: [],
     updated: [],
+    needsReview: [],
+    removed: [],
   };
 
-  const now = new Date().toISOString();
+  const now = scanTime().toISOString();
 
   for (const item of newItems) {
     const existing = state.betas[item.id];
@@ -1060,39 +2452,58 @@ function mergeResults(state, newItems) {
         ...item,
         description: cleanDescription(item.description),
         hubs: item.hubs || ['Platform'],
+        sources: [item.source],
         firstSeen: now,
         lastSeen: now,
         statusHistory: [{ status: item.status, date: now, source: item.source }],
       };
+      for (const field of PROVENANCE_FIELDS) {
+        if (cleanedItem[field]) setProvenance(cleanedItem, field, item.source, now);
+      }
       state.betas[item.id] = cleanedItem;
       changes.new.push(item);
     } else {
-      // Update last seen and pubDate if we got a better one
+      const before = revisionSnapshot(existing);
       existing.lastSeen = now;
-      if (item.pubDate && (!existing.pubDate || new Date(item.pubDate) > new Date(existing.pubDate))) {
-        existing.pubDate = item.pubDate;
+      // 1 = incoming source outranks whoever set this field, 0 = tie, -1 = weaker
+      const rank = field => comparePrecedence(precedence, field, item.source, fieldSource(existing, field));
+      const take = (field, value) => {
+        existing[field] = value;
+        setProvenance(existing, field, item.source, now);
+      };
+
+      // The ID stays put; the display title and link follow the latest wording
+      // from a source at least as strong as the one that set them
+      if (item.title && item.title !== existing.title && rank('title') >= 0) take('title', item.title);
+
+      if (item.sourceUrl && item.sourceUrl !== existing.sourceUrl && rank('sourceUrl') >= 0) take('sourceUrl', item.sourceUrl);
+
+      if (prefersIncomingDate(item, existing, rank('pubDate'))) {
+        take('pubDate', item.pubDate);
+        existing.dateConfidence = item.dateConfidence || null;
       }
 
-      // Ensure hubs field exists on legacy items
-      if (!existing.hubs) {
-        existing.hubs = item.hubs || ['Platform'];
-      } else if (item.hubs) {
-        // Merge any new hubs detected
-        for (const hub of item.hubs) {
-          if (!existing.hubs.includes(hub)) {
-            existing.hubs.push(hub);
-          }
-        }
+      // Hubs: a stronger source (or the same one, re-classifying) replaces the
+      // list, an equal one adds to it. hubEvidence follows the hubs it explains.
+      if (item.hubs && rank('hubs') >= 0) {
+        const replace = rank('hubs') > 0 || fieldSource(existing, 'hubs') === item.source;
+        const hubs = replace ? [...item.hubs] : [...new Set([...existing.hubs, ...item.hubs])];
         // Remove "Platform" if real hubs were detected
-        if (existing.hubs.length > 1 && existing.hubs.includes('Platform')) {
-          existing.hubs = existing.hubs.filter(h => h !== 'Platform');
-        }
+        const merged = hubs.length > 1 ? hubs.filter(h => h !== 'Platform') : hubs;
+        if (merged.join('|') !== existing.hubs.join('|')) take('hubs', merged);
+        const evidence = { ...(replace ? {} : existing.hubEvidence), ...item.hubEvidence };
+        existing.hubEvidence = Object.fromEntries(merged.filter(hub => evidence[hub]).map(hub => [hub, evidence[hub]]));
+        // Product areas follow the same rule, under the hubs precedence
+        if (item.areas) existing.areas = replace ? [...item.areas] : [...new Set([...existing.areas, ...item.areas])];
       }
+      if (item.featureGroups) existing.featureGroups = item.featureGroups;
 
-      // Check for status change
-      if (existing.status !== item.status && item.status !== 'update') {
+      // Check for status change — see lib/lifecycle.js for what counts as one
+      // A model-predicted status never moves a tracked item (see Text Classifier)
+      const transition = rank('status') >= 0 && !item.predictedStatus ? reviewTransition(existing.status, item.status, item.source) : 'ignore';
+      if (transition === 'apply') {
         const oldStatus = existing.status;
-        existing.status = item.status;
+        take('status', item.status);
         existing.statusHistory.push({
           status: item.status,
           date: now,
@@ -1103,25 +2514,271 @@ function mergeResults(state, newItems) {
           ...item,
           previousStatus: oldStatus,
         });
+        delete existing.statusReview;
+        delete existing.predictedStatus;
+      } else if (transition === 'review' && !(existing.rejectedStatuses || []).includes(statusClaim(item))) {
+        const sameClaim = existing.statusReview?.status === item.status && existing.statusReview?.source === item.source;
+        existing.statusReview = {
+          status: item.status,
+          previousStatus: existing.status,
+          source: item.source,
+          firstFlagged: sameClaim ? existing.statusReview.firstFlagged : now,
+          lastFlagged: now,
+        };
+        if (!sameClaim) changes.needsReview.push({ ...item, previousStatus: existing.status });
+      } else if (existing.statusReview?.source === item.source && item.status === existing.status) {
+        // The source that claimed a regression now agrees with the stored status
+        delete existing.statusReview;
+      }
+
+      // Description: a stronger source always wins; between equals, the longer text
+      const descriptionRank = rank('description');
+      if (item.description && item.description !== existing.description && (descriptionRank > 0
+        || (descriptionRank === 0 && item.description.length > (existing.description?.length || 0)))) {
+        take('description', item.description);
+      }
+
+      // Portal article sections are authoritative: always take the latest copy
+      if (item.article && JSON.stringify(item.article) !== JSON.stringify(existing.article)) {
+        existing.article = item.article;
+      }
+
+      if (item.availability && item.availability !== existing.availability) {
+        Object.assign(existing, availabilityFields(item.availability));
       }
 
-      // Update description if we got a better one
-      if (item.description && item.description.length > (existing.description?.length || 0)) {
-        existing.description = item.description;
-        changes.updated.push(item);
+      if (item.impact != null && item.impact !== existing.impact) existing.impact = item.impact;
+      if (item.rawPortalState && item.rawPortalState !== existing.rawPortalState) existing.rawPortalState = item.rawPortalState;
+
+      // Track which portals/regions currently report this update
+      if (item.portals) {
+        existing.portals = mergePortalSightings(existing.portals, item.portals);
+        existing.regions = [...new Set(existing.portals.filter(p => !p.removedAt).map(p => p.region))];
       }
 
       // Track additional sources
-      if (!existing.sources) existing.sources = [existing.source];
       if (!existing.sources.includes(item.source)) {
         existing.sources.push(item.source);
       }
+
+      // Status moves are reported under statusChanged; anything else under updated
+      const changedFields = recordRevision(existing, before, item.source, now).filter(f => f !== 'status');
+      if (changedFields.length) changes.updated.push({ ...item, changedFields });
     }
   }
 
   return changes;
 }
 
+// Keeps each portal's first sighting; refreshes its rollout state and lastSeen
+function mergePortalSightings(existing = [], incoming = []) {
+  const byPortal = new Map(existing.map(p => [`${p.region}:${p.portalId}`, p]));
+  for (const sighting of incoming) {
+    const key = `${sighting.region}:${sighting.portalId}`;
+    const prior = byPortal.get(key);
+    byPortal.set(key, prior ? { ...sighting, firstSeen: prior.firstSeen || sighting.firstSeen } : sighting);
+  }
+  return [...byPortal.values()];
+}
+
+// ─── Withdrawals ────────────────────────────────────────────────────────────
+// An item is "gone" when every source that still covers it stopped listing it:
+//   - portal: every portal sighting has removedAt (set by a full resync)
+//   - other feeds: the item is no older than the oldest post on the feed's
+//     regular first page this scan, yet wasn't in it. Community and Releasebot
+//     only list recent posts, so older items falling off the page tell us
+//     nothing; --backfill pages and the community RSS fallback don't count, and
+//     neither do items only dated by when we first saw them.
+// After WITHDRAW_AFTER_SCANS gone scans in a row the status becomes 'withdrawn';
+// a later sighting restores the status it had.
+
+const WITHDRAW_AFTER_SCANS = Number(process.env.WITHDRAW_AFTER_SCANS || 3);
+
+function feedCoverage(runs) {
+  const oldest = new Map();
+  for (const run of runs) {
+    if (!run.health.ok) continue;
+    if (run.coverage) {
+      for (const [source, date] of Object.entries(run.coverage)) {
+        const at = new Date(date).getTime();
+        if (!oldest.has(source) || at < oldest.get(source)) oldest.set(source, at);
+      }
+      continue;
+    }
+    for (const item of run.items) {
+      if (item.source === 'portal-updates' || !item.pubDate || item.dateConfidence === 'scan-time') continue;
+      const at = new Date(item.pubDate).getTime();
+      if (!oldest.has(item.source) || at < oldest.get(item.source)) oldest.set(item.source, at);
+    }
+  }
+  return oldest;
+}
+
+function isGone(item, coverage, seenBy) {
+  let covering = 0;
+  let missing = 0;
+  for (const source of item.sources || [item.source]) {
+    if (source === 'portal-updates') {
+      if (!item.portals?.length) continue;
+      covering++;
+      if (item.portals.every(p => p.removedAt)) missing++;
+      continue;
+    }
+    if (!coverage.has(source) || !item.pubDate || item.dateConfidence === 'scan-time') continue;
+    if (new Date(item.pubDate).getTime() < coverage.get(source)) continue;
+    covering++;
+    if (!seenBy.get(source)?.has(item.id)) missing++;
+  }
+  return covering > 0 && missing === covering;
+}
+
+function detectWithdrawals(state, runs, scannedItems, changes) {
+  const now = scanTime().toISOString();
+  const coverage = feedCoverage(runs);
+  const seenBy = new Map();
+  for (const item of scannedItems) {
+    if (!seenBy.has(item.source)) seenBy.set(item.source, new Set());
+    seenBy.get(item.source).add(item.id);
+  }
+
+  for (const item of Object.values(state.betas)) {
+    const setStatus = (status, previousStatus) => {
+      const before = revisionSnapshot(item);
+      item.status = status;
+      setProvenance(item, 'status', 'scanner', now);
+      item.statusHistory = [...(item.statusHistory || []), { status, date: now, source: 'scanner', previousStatus }];
+      recordRevision(item, before, 'scanner', now);
+    };
+
+    if (item.lastSeen === now) {
+      delete item.missedScans;
+      // Seen again: a sighting without status info ('update') brings back the old status
+      if (item.status === 'withdrawn') {
+        setStatus(item.withdrawal?.previousStatus || 'update', 'withdrawn');
+        changes.statusChanged.push({ ...item, previousStatus: 'withdrawn' });
+      }
+      delete item.withdrawal;
+      continue;
+    }
+    // A curated status stays put whatever the feeds do
+    if (item.status === 'withdrawn' || item.provenance?.status?.source === 'override') continue;
+
+    if (!isGone(item, coverage, seenBy)) {
+      delete item.missedScans;
+      continue;
+    }
+    item.missedScans = (item.missedScans || 0) + 1;
+    if (item.missedScans < WITHDRAW_AFTER_SCANS) continue;
+
+    item.withdrawal = { previousStatus: item.status, at: now, missedScans: item.missedScans };
+    setStatus('withdrawn', item.status);
+    delete item.missedScans;
+    changes.removed.push({ ...item, previousStatus: item.withdrawal.previousStatus });
+  }
+  if (changes.removed.length) console.log(`  🗑️ ${changes.removed.length} items withdrawn (gone from their sources for ${WITHDRAW_AFTER_SCANS} scans)`);
+}
+
+// ─── Curation Overrides ─────────────────────────────────────────────────────
+// overrides.json (see lib/overrides.js) is applied after every merge. Fields an
+// override sets carry provenance source 'override', which outranks every
+// scanner source, so later scans leave them alone. item.curation remembers the
+// scanned values so dropping an override from the file restores them.
+
+function aliasOwner(state, id) {
+  return Object.values(state.betas).find(item => (item.aliases || []).some(a => a.id === id)) || null;
+}
+
+// Puts back the scanned value an override replaced
+function restoreField(item, field, saved, now) {
+  if (field === 'status' && item.status !== saved.value) {
+    item.statusHistory = [...(item.statusHistory || []), { status: saved.value, date: now, source: 'override', previousStatus: item.status }];
+  }
+  item[field] = saved.value;
+  if (saved.provenance) item.provenance[field] = saved.provenance;
+  else delete item.provenance[field];
+}
+
+function releaseCuration(item, now) {
+  const before = revisionSnapshot(item);
+  for (const [field, saved] of Object.entries(item.curation.original)) restoreField(item, field, saved, now);
+  for (const field of FLAG_FIELDS) delete item[field];
+  delete item.curation;
+  recordRevision(item, before, 'override', now);
+}
+
+/**
+ * Applies every override to state. Returns the ones that matched nothing
+ * ({ id, author, reason }) so the report can flag them.
+ */
+function applyOverrides(state, overrides, changes) {
+  const now = scanTime().toISOString();
+  const unmatched = [];
+  const curated = new Set();
+
+  for (const [id, override] of overrides) {
+    if (override.mergeInto) {
+      const target = state.betas[override.mergeInto];
+      const merged = target?.aliases?.find(a => a.id === id);
+      if (!target || (!state.betas[id] && !merged)) {
+        unmatched.push({ id, author: override.author, reason: override.reason });
+        continue;
+      }
+      if (!merged) applyMerges(state, [{ canonicalId: target.id, aliasId: id, result: { score: 1, title: null, sharedLink: false, daysApart: null } }], new Map(), changes);
+      const alias = target.aliases.find(a => a.id === id);
+      Object.assign(alias, { confirmed: true, author: override.author, reason: override.reason });
+      continue;
+    }
+
+    const item = state.betas[id] || aliasOwner(state, id);
+    if (!item) {
+      unmatched.push({ id, author: override.author, reason: override.reason });
+      continue;
+    }
+    curated.add(item.id);
+
+    const before = revisionSnapshot(item);
+    const original = item.curation?.original || {};
+    for (const field of CURATED_FIELDS) {
+      if (override[field] === undefined) {
+        // Dropped from the override since last time: hand the field back to the scanner
+        if (original[field]) {
+          restoreField(item, field, original[field], now);
+          delete original[field];
+        }
+        continue;
+      }
+      if (!original[field]) original[field] = { value: item[field] ?? null, provenance: item.provenance?.[field] || null };
+      if (JSON.stringify(item[field]) === JSON.stringify(override[field])) continue;
+      if (field === 'status') {
+        item.statusHistory = [...(item.statusHistory || []), { status: override.status, date: now, source: 'override', previousStatus: item.status }];
+      }
+      item[field] = override[field];
+      setProvenance(item, field, 'override', now);
+    }
+    for (const field of FLAG_FIELDS) {
+      if (override[field] === undefined || override[field] === false) delete item[field];
+      else item[field] = override[field];
+    }
+    item.curation = { author: override.author, reason: override.reason, appliedAt: item.curation?.appliedAt || now, original };
+    recordRevision(item, before, 'override', now);
+  }
+
+  // Overrides removed from the file entirely (or now invalid)
+  for (const item of Object.values(state.betas)) {
+    if (item.curation && !curated.has(item.id)) releaseCuration(item, now);
+  }
+
+  if (unmatched.length) console.log(`  ⚠️ ${unmatched.length} override(s) match no tracked item: ${unmatched.map(o => o.id).join(', ')}`);
+  return unmatched;
+}
+
+function refreshOverrides(state, changes) {
+  const { overrides, invalid } = loadOverrides(__dirname);
+  for (const { id, problem } of invalid) console.log(`  ⚠️ Ignoring override for ${id}: ${problem}`);
+  state.overrideIssues = { unmatched: applyOverrides(state, overrides, changes), invalid };
+  return overrides.size;
+}
+
 // ─── Report Generation ──────────────────────────────────────────────────────
 
 function generateReport(state, changes) {
@@ -1155,12 +2812,43 @@ function generateReport(state, changes) {
       lines.push('');
     }
 
-    if (changes.new.length === 0 && changes.statusChanged.length === 0) {
+    if (changes.removed.length > 0) {
+      lines.push(`## 🗑️ Removed (${changes.removed.length})`);
+      for (const item of changes.removed) {
+        lines.push(`- **${item.title}** - was \`${item.previousStatus}\`, no longer listed by its sources`);
+        lines.push(`  🔗 ${item.sourceUrl}`);
+      }
+      lines.push('');
+    }
+
+    if (changes.new.length === 0 && changes.statusChanged.length === 0 && changes.removed.length === 0) {
       lines.push(`## ✅ No Changes Since Last Scan`);
       lines.push('');
     }
   }
 
+  const overrideIssues = [
+    ...(state.overrideIssues?.unmatched || []).map(o => `- \`${o.id}\` matches no tracked item (${o.author}: ${o.reason})`),
+    ...(state.overrideIssues?.invalid || []).map(o => `- \`${o.id}\` ignored — ${o.problem}`),
+  ];
+  if (overrideIssues.length > 0) {
+    lines.push(`## ✏️ Overrides Needing Attention (${overrideIssues.length})`);
+    lines.push(...overrideIssues);
+    lines.push('');
+  }
+
+  // Held regressions stay listed until accepted or rejected (--status-reviews)
+  const needsReview = pendingStatusReviews(state);
+  if (needsReview.length > 0) {
+    lines.push(`## 🧐 Needs Review (${needsReview.length})`);
+    for (const item of needsReview) {
+      const r = item.statusReview;
+      lines.push(`- **${item.title}**: \`${r.previousStatus}\` → \`${r.status}\`? (claimed by ${r.source}, not applied)`);
+      lines.push(`  🔗 ${item.sourceUrl}`);
+    }
+    lines.push('');
+  }
+
   // Current state by status
   const byStatus = {};
   for (const [id, beta] of Object.entries(state.betas)) {
@@ -1168,8 +2856,10 @@ function generateReport(state, changes) {
     byStatus[beta.status].push(beta);
   }
 
-  const statusOrder = ['public beta', 'private beta', 'developer preview', 'early access', 'now live', 'live', 'sunset', 'breaking change', 'update'];
+  const statusOrder = ['coming soon', 'in development', 'public beta', 'private beta', 'developer preview', 'early access', 'now live', 'live', 'sunset', 'breaking change', 'update', 'deprioritized'];
   const statusEmoji = {
+    'coming soon': '🔜',
+    'in development': '🛠️',
     'public beta': '🟢',
     'private beta': '🔒',
     'developer preview': '🔧',
@@ -1179,6 +2869,7 @@ function generateReport(state, changes) {
     'sunset': '🌅',
     'breaking change': '⚠️',
     'update': '📝',
+    'deprioritized': '⏸️',
   };
 
   lines.push(`## 📊 All Tracked Betas by Status`);
@@ -1208,10 +2899,14 @@ function generateJSON(state, changes) {
     totalTracked: Object.keys(state.betas).length,
     scanCount: state.scanCount,
     health: state.health || {},
-    changes: changes || { new: [], statusChanged: [], updated: [] },
+    changes: changes || { new: [], statusChanged: [], updated: [], needsReview: [], removed: [] },
+    overrideIssues: state.overrideIssues || { unmatched: [], invalid: [] },
+    needsReview: pendingStatusReviews(state).map(item => ({ id: item.id, title: item.title, sourceUrl: item.sourceUrl, ...item.statusReview })),
     summary: {
       newCount: changes?.new?.length || 0,
       statusChangedCount: changes?.statusChanged?.length || 0,
+      needsReviewCount: pendingStatusReviews(state).length,
+      removedCount: changes?.removed?.length || 0,
       byStatus: Object.entries(
         Object.values(state.betas).reduce((acc, b) => {
           acc[b.status] = (acc[b.status] || 0) + 1;
@@ -1227,10 +2922,88 @@ function generateJSON(state, changes) {
 async function main() {
   const args = process.argv.slice(2);
   const reportOnly = args.includes('--report-only');
+  const reviewing = ['--merges', '--confirm-merge', '--split-merge', '--status-reviews', '--accept-status', '--reject-status', '--apply-overrides', '--rejections', '--promote', '--train-classifier', '--import-json', '--export-json', '--migrate', '--history', '--compact-history'].some(flag => args.includes(flag));
   const jsonOutput = args.includes('--json');
+  if (!reportOnly && !reviewing) {
+    configureCapture(args);
+    configureBackfill(args);
+  }
+
+  if (args.includes('--import-json')) {
+    const file = args[args.indexOf('--import-json') + 1];
+    console.log(importJsonState(file && !file.startsWith('--') ? file : undefined));
+    return;
+  }
+  if (args.includes('--export-json')) {
+    console.log(exportJsonState(args[args.indexOf('--export-json') + 1]));
+    return;
+  }
+  if (args.includes('--migrate')) {
+    console.log(migrateStoredState(args.includes('--dry-run')));
+    return;
+  }
+  if (args.includes('--history')) {
+    const query = historyQuery(args);
+    if (query.error) {
+      console.log(query.error);
+      return;
+    }
+    const result = queryHistory(HISTORY_DIR, query);
+    console.log(jsonOutput ? JSON.stringify(result, null, 2) : listHistory(result));
+    return;
+  }
+  if (args.includes('--compact-history')) {
+    console.log(compactHistoryCommand(args.includes('--dry-run')));
+    return;
+  }
 
   const state = loadState();
 
+  const mergeAction = ['--confirm-merge', '--split-merge'].find(flag => args.includes(flag));
+  if (mergeAction) {
+    const aliasId = args[args.indexOf(mergeAction) + 1];
+    console.log(mergeAction === '--confirm-merge' ? confirmMerge(state, aliasId) : splitMerge(state, aliasId));
+    saveState(state);
+    return;
+  }
+  if (args.includes('--merges')) {
+    console.log(listMerges(state));
+    return;
+  }
+
+  const statusAction = ['--accept-status', '--reject-status'].find(flag => args.includes(flag));
+  if (statusAction) {
+    const id = args[args.indexOf(statusAction) + 1];
+    console.log(statusAction === '--accept-status' ? acceptStatus(state, id) : rejectStatus(state, id));
+    saveState(state);
+    return;
+  }
+  if (args.includes('--status-reviews')) {
+    console.log(listStatusReviews(state));
+    return;
+  }
+  if (args.includes('--apply-overrides')) {
+    const count = refreshOverrides(state, { new: [] });
+    applyDateFields(state);
+    saveState(state);
+    console.log(`✏️ Applied ${count - state.overrideIssues.unmatched.length}/${count} overrides.`);
+    return;
+  }
+  if (args.includes('--train-classifier')) {
+    console.log(trainClassifier(state));
+    return;
+  }
+  if (args.includes('--promote')) {
+    console.log(promoteRejection(state, args[args.indexOf('--promote') + 1]));
+    saveState(state);
+    return;
+  }
+  if (args.includes('--rejections')) {
+    const filter = args[args.indexOf('--rejections') + 1];
+    console.log(listRejections(state, filter && !filter.startsWith('--') ? filter : ''));
+    return;
+  }
+
   if (reportOnly) {
     const report = jsonOutput
       ? JSON.stringify(generateJSON(state, null), null, 2)
@@ -1241,43 +3014,53 @@ async function main() {
 
   console.log('🔬 HubSpot Beta Tracker - Starting scan...\n');
 
-  // Fetch lightweight sources in parallel, prioritizing Portal API (most authoritative + descriptions)
-  // Then Playwright-based community scrape sequentially (requires browser binary)
-  const [portalItems, releasebotItems, productItems, devItems] = await Promise.all([
-    parsePortalUpdates(),
-    parseReleasebot(),
-    parseProductUpdates(),
-    parseDevChangelog(),
-  ]);
-
-  // Community uses Playwright (heavy) - run after other fetches complete
-  const communityItems = await parseCommunityUpdates();
-
-  // Priority order: Portal first (official HubSpot + real descriptions), then Releasebot (freshest news), then others
-  const allItems = [...portalItems, ...releasebotItems, ...productItems, ...communityItems, ...devItems];
-
-  // Deduplicate by ID (prefer items with more info)
+  // Run every registered source adapter (see Source Registry); runs come back in priority order
+  for (const title of Object.keys(state.promotions || {})) promotedTitles.add(title);
+  const runs = await runSources(state);
+  state.rejections = { scannedAt: scanTime().toISOString(), items: collectRejections() };
+  const allItems = runs.flatMap(run => run.items);
+  const relabelled = applyTextModel(allItems);
+  if (relabelled) console.log(`🧠 Text classifier relabelled ${relabelled} non-portal items`);
+  const portalItems = runs.find(run => run.id === 'portalUpdates')?.items || [];
+
+  // Fold the same feature reported under different titles into one item
+  const scannedById = new Map(allItems.map(item => [item.id, item]));
+  const matched = matchAcrossSources(state, allItems);
+
+  // Deduplicate by ID: the canonical source's own copy first, then the source
+  // with description precedence, then the copy with more info
+  const precedence = loadFieldPrecedence();
   const deduped = new Map();
-  for (const item of allItems) {
+  for (const item of matched.items) {
     const existing = deduped.get(item.id);
-    if (!existing || item.description.length > (existing.description?.length || 0)) {
-      deduped.set(item.id, item);
-    }
+    if (!existing || prefersScannedCopy(item, existing, precedence)) deduped.set(item.id, item);
   }
 
   console.log(`\n📊 Total unique items found: ${deduped.size}`);
 
   // Merge with existing state
-  const changes = mergeResults(state, [...deduped.values()]);
-
-  state.lastScan = new Date().toISOString();
+  const portalRelabelled = relabelPortalStatuses(state, deduped.values());
+  if (portalRelabelled) console.log(`🏷️ Relabelled ${portalRelabelled} portal items with their rollout stage (not reported as status changes)`);
+  const changes = mergeResults(state, [...deduped.values()], precedence);
+  applyMerges(state, matched.merges, scannedById, changes);
+  detectWithdrawals(state, runs, matched.items, changes);
+  refreshOverrides(state, changes);
+  console.log(`📅 ${applyDateFields(state)} items mention an effective date, deadline or rollout start`);
+
+  state.lastScan = scanTime().toISOString();
   state.scanCount = (state.scanCount || 0) + 1;
+  state.fieldPrecedence = precedence;
   state.health = state.health || {};
+  state.health.sources = Object.fromEntries(runs.map(run => [run.id, run.health]));
   state.health.portal = buildPortalHealth(state, portalItems);
-  await maybeAlertPortalHealth(state, state.health.portal);
+  // A replay reproduces a past scan: no alerts, no history entry
+  if (capture.mode !== 'replay') await maybeAlertPortalHealth(state, state.health.portal);
 
   saveState(state);
-  saveHistory({ changes, itemsFound: deduped.size, health: state.health });
+  stateStore().recordScanRun({ scannedAt: state.lastScan, mode: capture.mode || 'live', itemsFound: deduped.size, changes, health: state.health });
+  if (capture.mode !== 'replay') saveHistory({ changes, itemsFound: deduped.size, health: state.health });
+  // Still under the scan's lock, and before the report so --json output ends with the payload
+  await enrichNewItemDescriptions(state);
 
   // Output report
   if (jsonOutput) {
@@ -1289,7 +3072,9 @@ async function main() {
 
   // Summary for quick consumption
   console.log('\n' + '='.repeat(60));
-  console.log(`✅ Scan complete. ${changes.new.length} new, ${changes.statusChanged.length} changed, ${Object.keys(state.betas).length} total tracked.`);
+  const held = changes.needsReview.length ? ` ${changes.needsReview.length} held for review,` : '';
+  const removed = changes.removed.length ? ` ${changes.removed.length} removed,` : '';
+  console.log(`✅ Scan complete. ${changes.new.length} new, ${changes.statusChanged.length} changed,${held}${removed} ${Object.keys(state.betas).length} total tracked.`);
 }
 
 const FALLBACK_DESCRIPTIONS = new Set([
@@ -1315,14 +3100,36 @@ function cleanDescHtml(raw, maxLen = 400) {
   return lastPeriod > maxLen * 0.5 ? trimmed.substring(0, lastPeriod + 1) : trimmed;
 }
 
-async function enrichNewItemDescriptions() {
-  const { cookie, csrf } = loadPortalAuth();
-  if (!cookie || !csrf) {
+// Availability text → { availability, editions, addOns } (see lib/availability.js)
+function availabilityFields(text) {
+  if (!text) return {};
+  const { editions, addOns } = parseAvailability(text);
+  return { availability: text, editions, addOns };
+}
+
+// Portal articles sometimes state availability in their own block
+function portalAvailabilityText(html) {
+  const text = cleanDescHtml(html, 5000);
+  const match = text.match(/(?:Availability|Who (?:gets|can use) (?:it|this)\??|Who is it for\??)\s*:?\s*(.{10,300}?)(?=\s*(?:What is it|Why does it matter|How does it work)\?|$)/i);
+  return match ? match[1].trim() : null;
+}
+
+// Enrich from a portal that actually reported the item, falling back to the primary
+function portalForItem(portals, item) {
+  const reported = (item.portals || []).map(p => portals.find(c => c.portalId === p.portalId)).filter(Boolean);
+  return reported.find(hasPortalAuth) || portals.find(p => p.primary);
+}
+
+// Fills in portal items' missing descriptions from the detail endpoint; saves
+// state when any were found
+async function enrichNewItemDescriptions(state) {
+  const portals = loadPortalConfigs().filter(hasPortalAuth);
+  if (!portals.length) {
     console.log('📝 Portal auth not configured - skipping description enrichment');
     return;
   }
+  if (!portals.some(p => p.primary)) portals[0] = { ...portals[0], primary: true };
 
-  const state = JSON.parse(fs.readFileSync(STATE_FILE));
   const needsDesc = Object.entries(state.betas || {}).filter(([id, item]) =>
     id.startsWith('portal-') &&
     (!item.description || item.description.length < 30 || FALLBACK_DESCRIPTIONS.has(item.description))
@@ -1339,47 +3146,81 @@ async function enrichNewItemDescriptions() {
 
   for (let i = 0; i < needsDesc.length; i += batchSize) {
     const batch = needsDesc.slice(i, i + batchSize);
-    const results = await Promise.all(batch.map(async ([id]) => {
+    const results = await Promise.all(batch.map(async ([id, item]) => {
       const updateId = id.replace('portal-', '');
+      const portal = portalForItem(portals, item);
       try {
-        const resp = await fetch(
-          `https://app-eu1.hubspot.com/api/product-updates/v3/rollout-product-updates/${updateId}?portalId=139633041`,
-          { headers: { 'cookie': portalCookieHeader(cookie, csrf), 'x-hubspot-csrf-hubspotapi': csrf, 'accept': 'application/json', 'user-agent': 'Mozilla/5.0' }, signal: AbortSignal.timeout(10000) }
-        );
-        if (!resp.ok) return { id, desc: null };
-        const d = await resp.json();
+        const url = portalDetailUrl(portal, updateId);
+        const resp = await capturedRequest('portal', url, 'json', async () => {
+          const r = await fetch(url, { headers: { ...portalHeaders(portal), 'accept': 'application/json' }, signal: AbortSignal.timeout(10000) });
+          return { status: r.status, body: r.ok ? await r.text() : null };
+        }).catch(err => ({ status: 0, body: null, error: err.message }));
+        if (!resp.body) return { id, desc: null };
+        const d = JSON.parse(resp.body);
         const html = d?.translatedContent?.content;
         if (!html) return { id, desc: null };
         const whatIsIt = html.match(/What is it\?:?\s*(.*?)(?:Why does it matter|How does it work|<h[23]|$)/is);
         const desc = whatIsIt && whatIsIt[1].length > 30
           ? cleanDescHtml(whatIsIt[1], 400)
           : cleanDescHtml(html, 400);
-        return { id, desc: desc.length > 30 ? desc : null };
+        return { id, desc: desc.length > 30 ? desc : null, article: extractArticleSections(html) };
       } catch { return { id, desc: null }; }
     }));
 
-    for (const { id, desc } of results) {
-      if (desc) { state.betas[id].description = desc; updated++; }
+    for (const { id, desc, article } of results) {
+      const before = revisionSnapshot(state.betas[id]);
+      if (article) state.betas[id].article = article;
+      if (desc) {
+        state.betas[id].description = desc;
+        setProvenance(state.betas[id], 'description', 'portal-updates', scanTime().toISOString());
+        updated++;
+      }
+      recordRevision(state.betas[id], before, 'portal-updates', scanTime().toISOString());
     }
-    await new Promise(r => setTimeout(r, 300));
+    if (capture.mode !== 'replay') await new Promise(r => setTimeout(r, 300));
   }
 
   if (updated > 0) {
-    fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
+    saveState(state);
     console.log(`  ✓ Enriched ${updated}/${needsDesc.length} descriptions`);
   } else {
     console.log(`  i No new descriptions available from HubSpot yet`);
   }
 }
 
-async function runWithDescriptionScraper() {
+// Everything that writes state holds the scan lock (lib/persist.js) so two runs
+// never interleave their read-modify-write. Listings, reports, dry runs of
+// --migrate / --compact-history and replays (which only write into the
+// recording) run without it.
+// --train-classifier writes classifier-model.json, which scans load
+const STATE_WRITING_FLAGS = ['--confirm-merge', '--split-merge', '--accept-status', '--reject-status', '--apply-overrides', '--promote', '--import-json', '--train-classifier'];
+const READ_ONLY_FLAGS = ['--report-only', '--merges', '--status-reviews', '--rejections', '--export-json', '--history', '--replay'];
+const DRY_RUN_FLAGS = ['--migrate', '--compact-history'];
+
+function needsScanLock(args) {
+  if (args.includes('--dry-run') && DRY_RUN_FLAGS.some(flag => args.includes(flag))) return false;
+  return STATE_WRITING_FLAGS.some(flag => args.includes(flag)) || !READ_ONLY_FLAGS.some(flag => args.includes(flag));
+}
+
+async function runWithScanLock() {
+  const args = process.argv.slice(2);
+  let lock = null;
   try {
+    if (needsScanLock(args)) {
+      lock = acquireScanLock(__dirname, { command: ['index.js', ...args].join(' '), trigger: process.env.SCAN_TRIGGER || 'cli' });
+    }
     await main();
-    await enrichNewItemDescriptions();
   } catch (err) {
+    if (err instanceof ScanLockedError) {
+      console.error(`⏳ ${err.message} — not starting another`);
+      process.exitCode = SCAN_LOCKED_EXIT;
+      return;
+    }
     console.error('Fatal error:', err);
     process.exit(1);
+  } finally {
+    lock?.release();
   }
 }
 
-runWithDescriptionScraper();
+runWithScanLock();
@@ -0,0 +1,52 @@
+/**
+ * Product-area taxonomy — the level below hubs.
+ *
+ * PRODUCT_AREAS maps each area to the hub it usually belongs to and the terms
+ * that tag an item with it, scored by the same whole-word matcher as hubs
+ * (lib/hubs.js scoreTerms): weights add up per area, an area needs MIN_SCORE,
+ * negative weights cancel. The portal's featureGroups are matched against the
+ * same terms and count double, so a group named "Workflows" or "Help Desk" is
+ * enough on its own.
+ *
+ * To add an area, add an entry here; the API (/api/areas, ?area=) and the
+ * dashboard chips pick it up. Renaming one orphans the old name on stored
+ * items until they are seen again.
+ */
+
+import { scoreTerms } from './hubs.js';
+
+export const PRODUCT_AREAS = {
+  'Workflows': { hub: 'Operations Hub', terms: { 'workflow': 3, 'enrollment trigger': 2, 're-enrollment': 2, 'automation': 1 } },
+  'Data Management': { hub: 'Operations Hub', terms: { 'data sync': 3, 'data quality': 3, 'dataset': 2, 'import': 1, 'export': 1, 'duplicate': 1, 'data model': 2 } },
+  'Reporting': { hub: 'Platform', terms: { 'report': 2, 'reporting': 3, 'dashboard': 2, 'analytics': 2, 'attribution': 2, 'report builder': 3 } },
+  'Properties': { hub: 'Platform', terms: { 'property': 2, 'calculated property': 3, 'property history': 3 } },
+  'Associations': { hub: 'Platform', terms: { 'association': 3, 'association label': 3 } },
+  'Custom Objects': { hub: 'Platform', terms: { 'custom object': 3, 'object library': 2, 'object schema': 2 } },
+  'Lists & Segments': { hub: 'Platform', terms: { 'list': 0.5, 'segment': 2, 'active list': 3, 'static list': 3 } },
+  'Users & Permissions': { hub: 'Platform', terms: { 'permission': 2, 'user management': 3, 'seat': 1, 'team': 0.5, 'sso': 2, 'two-factor': 2, 'audit log': 2 } },
+  'Mobile App': { hub: 'Platform', terms: { 'mobile app': 3, 'ios': 2, 'android': 2 } },
+  'Inbox': { hub: 'Service Hub', terms: { 'inbox': 3, 'conversations inbox': 3, 'chatflow': 3, 'live chat': 3, 'chat': 1, 'whatsapp': 2 } },
+  'Help Desk': { hub: 'Service Hub', terms: { 'help desk': 3, 'helpdesk': 3, 'ticket': 2, 'sla': 2, 'routing': 1 } },
+  'Knowledge Base': { hub: 'Service Hub', terms: { 'knowledge base': 3, 'kb article': 3 } },
+  'Customer Feedback': { hub: 'Service Hub', terms: { 'feedback survey': 3, 'nps': 2, 'csat': 2, 'survey': 2, 'feedback': 1 } },
+  'Sequences': { hub: 'Sales Hub', terms: { 'sequence': 3 } },
+  'Deals & Pipelines': { hub: 'Sales Hub', terms: { 'deal': 2, 'pipeline': 2, 'forecast': 2, 'forecasting': 2 } },
+  'Calling & Meetings': { hub: 'Sales Hub', terms: { 'calling': 3, 'call': 0.5, 'meeting': 2, 'scheduling page': 3 } },
+  'Prospecting': { hub: 'Sales Hub', terms: { 'prospecting': 3, 'lead': 0.5, 'sales workspace': 3 } },
+  'Quotes & Payments': { hub: 'Commerce Hub', terms: { 'quote': 2, 'payment': 2, 'invoice': 2, 'subscription': 1, 'checkout': 2, 'sales tax': 2 } },
+  'Forms': { hub: 'Marketing Hub', terms: { 'form': 3, 'pop-up form': 3, 'form submission': 3, 'form factor': -3 } },
+  'Email': { hub: 'Marketing Hub', terms: { 'marketing email': 3, 'email editor': 3, 'email': 1, 'email address': -1 } },
+  'Campaigns': { hub: 'Marketing Hub', terms: { 'campaign': 3 } },
+  'Social & Ads': { hub: 'Marketing Hub', terms: { 'social': 2, 'ad': 2, 'tiktok': 2, 'linkedin': 2, 'facebook': 2, 'instagram': 2 } },
+  'Website & Pages': { hub: 'CMS Hub', terms: { 'landing page': 3, 'website page': 3, 'website': 2, 'theme': 2, 'template': 1, 'hubdb': 3, 'blog': 2, 'membership': 2, 'drag-and-drop': 1 } },
+  'Breeze Agents': { hub: 'Breeze AI', terms: { 'agent': 2, 'copilot': 3, 'breeze assistant': 3, 'user agent': -2 } },
+  'Apps & Integrations': { hub: 'Developer Platform', terms: { 'integration': 2, 'app marketplace': 3, 'ui extension': 3, 'crm card': 3, 'app card': 3, 'connected app': 3 } },
+  'APIs': { hub: 'Developer Platform', terms: { 'api': 3, 'webhook': 3, 'endpoint': 2, 'sdk': 3, 'oauth': 2 } },
+};
+
+const AREA_TERMS = Object.fromEntries(Object.entries(PRODUCT_AREAS).map(([area, { terms }]) => [area, terms]));
+
+// Areas an item touches, strongest first; [] when none match
+export function classifyAreas(text = '', { featureGroups = [] } = {}) {
+  return scoreTerms(AREA_TERMS, text, featureGroups).map(s => s.label);
+}
@@ -0,0 +1,117 @@
+/**
+ * Edition / tier availability parsing.
+ *
+ * Turns free-text availability ("Live for Marketing Hub Professional and
+ * Marketing Hub Enterprise", "All products, Professional+. HubSpot Credits
+ * required.") into:
+ *
+ *   editions: [{ hub, tier }]   hub uses the dashboard hub names, or '*' for
+ *                               all hubs; tier is free|starter|professional|
+ *                               enterprise, or '*' for all tiers
+ *   addOns:   ['HubSpot Credits', …]
+ *
+ * An empty editions list means the text didn't say — treat as unknown, not
+ * as "available to nobody".
+ */
+
+export const TIERS = ['free', 'starter', 'professional', 'enterprise'];
+
+// Order matters: bundles and "Marketing+" before plain "Marketing"
+const HUB_PATTERNS = [
+  ['*', /\ball (?:hubspot )?(?:hubs|products|customers|accounts)\b|\bacross all hubs\b/i],
+  ['Customer Platform', /\bcustomer platform\b/i],
+  ['Marketing+', /\bmarketing\s?\+/i],
+  ['Marketing Hub', /\bmarketing(?: hub)?\b(?!\s?\+)/i],
+  ['Sales Hub', /\bsales(?: hub)?\b/i],
+  ['Service Hub', /\bservice(?: hub)?\b/i],
+  ['CMS Hub', /\b(?:content|cms)(?: hub)?\b/i],
+  ['Operations Hub', /\b(?:operations|ops)(?: hub)?\b|\bdata hub\b/i],
+  ['Commerce Hub', /\bcommerce(?: hub)?\b/i],
+];
+
+const TIER_PATTERNS = [
+  ['free', /\bfree\b/i],
+  ['starter', /\bstarter\b/i],
+  ['professional', /\bprofessional\b|\bpro\b/i],
+  ['enterprise', /\benterprise\b|\bent\b/i],
+];
+
+const ADD_ON_PATTERNS = [
+  ['HubSpot Credits', /\bhubspot credits\b/i],
+  ['Assigned seat', /\bseated\b|\b(?:sales|service|core) seats?\b/i],
+  ['Breeze Intelligence', /\bbreeze intelligence\b/i],
+  ['Transactional email', /\btransactional email\b/i],
+];
+
+// Hub and tier mentions in reading order: [{ kind: 'hub' | 'tier', value, at }]
+function mentions(sentence) {
+  const found = [];
+  let rest = sentence;
+  for (const [hub, pattern] of HUB_PATTERNS) {
+    for (const match of rest.matchAll(new RegExp(pattern.source, 'gi'))) found.push({ kind: 'hub', value: hub, at: match.index });
+    // Blank the match out (keeping offsets) so "Marketing+" doesn't also count as Marketing Hub
+    rest = rest.replace(new RegExp(pattern.source, 'gi'), m => ' '.repeat(m.length));
+  }
+  const allTiers = sentence.match(/\ball\b[^.;]*\btiers\b/i);
+  if (allTiers) {
+    found.push({ kind: 'tier', value: '*', at: allTiers.index });
+  } else {
+    for (const [tier, pattern] of TIER_PATTERNS) {
+      for (const match of sentence.matchAll(new RegExp(pattern.source, 'gi'))) found.push({ kind: 'tier', value: tier, at: match.index });
+    }
+    // "Professional+" means Professional and up
+    for (const match of sentence.matchAll(/\bpro(?:fessional)?\s?\+/gi)) found.push({ kind: 'tier', value: 'enterprise', at: match.index + 0.5 });
+  }
+  return found.sort((a, b) => a.at - b.at);
+}
+
+function addEditions(editions, hubs, tiers) {
+  for (const hub of hubs) {
+    for (const tier of tiers) {
+      if (!editions.some(e => e.hub === hub && e.tier === tier)) editions.push({ hub, tier });
+    }
+  }
+}
+
+export function parseAvailability(text) {
+  if (!text || typeof text !== 'string') return { editions: [], addOns: [] };
+  const editions = [];
+
+  // Each tier belongs to the nearest hub before it, together with any hubs
+  // listed right before that one ("Sales and Service Hub Enterprise"). That hub
+  // carries across commas ("Sales Hub Professional, Enterprise"), and hubs
+  // listed without a tier take the next ones ("All products, Professional+").
+  // Tiers named before any hub ("Professional and Enterprise Customer
+  // Platform") belong to the first one.
+  for (const sentence of text.split(/[.;\n]+/)) {
+    let group = [];
+    let tiers = [];
+    const flush = () => {
+      addEditions(editions, group.includes('*') ? ['*'] : group, tiers.length ? tiers : ['*']);
+      group = [];
+      tiers = [];
+    };
+    for (const { kind, value } of mentions(sentence)) {
+      if (kind === 'tier') {
+        tiers.push(value);
+        continue;
+      }
+      if (group.length && tiers.length) flush();
+      group.push(value);
+    }
+    if (group.length) flush();
+    else if (tiers.length) addEditions(editions, ['*'], tiers);
+  }
+
+  const addOns = ADD_ON_PATTERNS.filter(([, pattern]) => pattern.test(text)).map(([name]) => name);
+  return { editions, addOns };
+}
+
+// True when the editions list covers this hub × tier. hub may be null to mean
+// "any hub"; unknown availability (no editions) never matches.
+export function isAvailableFor(editions, hub, tier) {
+  if (!Array.isArray(editions) || !editions.length) return false;
+  return editions.some(e =>
+    (!hub || e.hub === '*' || e.hub === hub)
+    && (!tier || e.tier === '*' || e.tier === tier));
+}
@@ -0,0 +1,216 @@
+/**
+ * Naive Bayes text classifier for status and hubs, trained on portal items.
+ *
+ * Portal items arrive with HubSpot's own rolloutState and featureGroups, so
+ * they are labelled data; Releasebot, Community and changelog items only have
+ * text. trainModel() learns from the portal items in state.json:
+ *   status — one model over the portal statuses (in development, coming
+ *            soon, private beta, public beta, live, sunset, deprioritized)
+ *   hubs   — one yes/no model per hub, since an item can sit in several,
+ *            over the items with featureGroups only: their hubs come from the
+ *            groups alone, never from the keyword rules the model is meant to
+ *            improve on
+ * Features are word unigrams and bigrams from title + description, counted
+ * once per item, kept when at least MIN_DOC_FREQ items use them.
+ *
+ * Live outnumbers every other stage several times over, so the status model
+ * scores with equal class priors: a label has to come from the words, not
+ * from how common it is. Even then a stage is only predicted once held-out
+ * items show it is worth it — statusPrecision() keeps the labels whose
+ * confident predictions are right at least minPrecision of the time and beat
+ * always guessing that label by PRIOR_MARGIN; trainClassifier() saves them as
+ * model.statusClasses.
+ *
+ * predictStatus() / predictHubs() return null when the model isn't sure
+ * (below minConfidence); callers then fall back to their keyword rules.
+ */
+
+import crypto from 'crypto';
+import { classifyHubs } from './hubs.js';
+
+// 2: hub labels from featureGroups only, hubDocs
+export const MODEL_VERSION = 2;
+const MIN_DOC_FREQ = 2;
+// A status label's held-out precision must beat its share of the labels by this much
+const PRIOR_MARGIN = 0.1;
+// …over at least this many confident held-out predictions
+const MIN_PREDICTIONS = 3;
+
+// rolloutState → status label, the same one to one mapping the portal parser
+// uses (PORTAL_STATUSES in index.js), so no stage is trained as another
+const ROLLOUT_LABELS = {
+  IN_DEVELOPMENT: 'in development',
+  COMING_SOON: 'coming soon',
+  PRIVATE_BETA: 'private beta',
+  PUBLIC_BETA: 'public beta',
+  LIVE: 'live',
+  ROLLED_OUT: 'live',
+  UPCOMING_SUNSET: 'sunset',
+  SUNSET: 'sunset',
+  DEPRIORITIZED: 'deprioritized',
+};
+
+const STOPWORDS = new Set(['a', 'an', 'the', 'and', 'or', 'for', 'to', 'of', 'in', 'on', 'with', 'your', 'you', 'is', 'are', 'be', 'this', 'that', 'it', 'its', 'as', 'at', 'by', 'from', 'can', 'will', 'now', 'new', 'we', 'our', 'their', 'they', 'them', 'these', 'those', 'has', 'have', 'more', 'all', 'into', 'when', 'which', 'so', 'if', 'also']);
+
+export function tokenize(text = '') {
+  const words = text.toLowerCase()
+    .replace(/&[a-z#0-9]+;/g, ' ')
+    .split(/[^a-z0-9+]+/)
+    .filter(w => w.length > 1 && !STOPWORDS.has(w));
+  const bigrams = words.slice(1).map((w, i) => `${words[i]} ${w}`);
+  return [...new Set([...words, ...bigrams])];
+}
+
+// Labelled examples from portal items: { id, text, status, hubs }; hubs is
+// null for items without featureGroups
+export function portalExamples(betas = {}) {
+  return Object.values(betas)
+    .filter(item => (item.source || '').startsWith('portal') && ROLLOUT_LABELS[item.rawPortalState])
+    .map(item => ({
+      id: item.id,
+      text: `${item.title || ''} ${item.description || ''}`,
+      status: ROLLOUT_LABELS[item.rawPortalState],
+      hubs: item.featureGroups?.length
+        ? classifyHubs('', { featureGroups: item.featureGroups }).hubs.filter(h => h !== 'Platform')
+        : null,
+    }));
+}
+
+// Stable split by ID, so the same state always gives the same held-out set
+export function splitExamples(examples, testShare = 0.2) {
+  const train = [];
+  const test = [];
+  for (const example of examples) {
+    const bucket = parseInt(crypto.createHash('md5').update(example.id).digest('hex').slice(0, 8), 16) / 0xffffffff;
+    (bucket < testShare ? test : train).push(example);
+  }
+  return { train, test };
+}
+
+function emptyClass() {
+  return { docs: 0, counts: {} };
+}
+
+function addDoc(cls, tokens) {
+  cls.docs++;
+  for (const t of tokens) cls.counts[t] = (cls.counts[t] || 0) + 1;
+}
+
+function tokenTotal(cls) {
+  return Object.values(cls.counts).reduce((sum, n) => sum + n, 0);
+}
+
+export function trainModel(examples) {
+  const docs = examples.map(e => ({ ...e, tokens: tokenize(e.text) }));
+  const docFreq = {};
+  for (const d of docs) for (const t of d.tokens) docFreq[t] = (docFreq[t] || 0) + 1;
+  const keep = t => docFreq[t] >= MIN_DOC_FREQ;
+
+  const all = emptyClass();
+  const hubDocs = emptyClass();
+  const status = {};
+  const hubs = {};
+  for (const d of docs) {
+    const tokens = d.tokens.filter(keep);
+    addDoc(all, tokens);
+    addDoc(status[d.status] = status[d.status] || emptyClass(), tokens);
+    if (!d.hubs) continue;
+    addDoc(hubDocs, tokens);
+    for (const hub of d.hubs) addDoc(hubs[hub] = hubs[hub] || emptyClass(), tokens);
+  }
+  return { version: MODEL_VERSION, examples: docs.length, all, hubDocs, status, hubs };
+}
+
+// Laplace-smoothed log-likelihood of the tokens the model knows
+function logLikelihood(cls, tokens, vocabSize) {
+  const denom = Math.log((cls.total ?? tokenTotal(cls)) + vocabSize);
+  return tokens.reduce((sum, t) => sum + Math.log((cls.counts[t] || 0) + 1) - denom, 0);
+}
+
+// balanced: every class gets the same prior instead of its share of the documents
+function posteriors(classes, tokens, vocabSize, totalDocs, { balanced = false } = {}) {
+  const scores = Object.entries(classes).map(([label, cls]) =>
+    [label, (balanced ? 0 : Math.log(cls.docs / totalDocs)) + logLikelihood(cls, tokens, vocabSize)]);
+  const max = Math.max(...scores.map(([, s]) => s));
+  const sum = scores.reduce((acc, [, s]) => acc + Math.exp(s - max), 0);
+  return Object.fromEntries(scores.map(([label, s]) => [label, Math.exp(s - max) / sum]));
+}
+
+// Token totals are derived once per loaded model, not stored
+function prepare(model) {
+  if (model.prepared) return model;
+  for (const cls of [model.all, model.hubDocs, ...Object.values(model.status), ...Object.values(model.hubs)]) cls.total = tokenTotal(cls);
+  model.vocabSize = Object.keys(model.all.counts).length;
+  model.prepared = true;
+  return model;
+}
+
+function knownTokens(model, text) {
+  return tokenize(text).filter(t => t in model.all.counts);
+}
+
+// Items outside a hub: every hub-labelled item minus the hub's own counts
+function complement(model, cls) {
+  const counts = {};
+  for (const [t, n] of Object.entries(model.hubDocs.counts)) counts[t] = n - (cls.counts[t] || 0);
+  return { docs: model.hubDocs.docs - cls.docs, total: model.hubDocs.total - cls.total, counts };
+}
+
+const round2 = n => Math.round(n * 100) / 100;
+
+// { status, confidence } or null; null too when the label isn't one of
+// model.statusClasses (once trainClassifier() has set them)
+export function predictStatus(model, text, minConfidence) {
+  if (!model?.status) return null;
+  prepare(model);
+  const tokens = knownTokens(model, text);
+  if (!tokens.length) return null;
+  const probs = posteriors(model.status, tokens, model.vocabSize, model.all.docs, { balanced: true });
+  const [status, confidence] = Object.entries(probs).sort((a, b) => b[1] - a[1])[0];
+  if (model.statusClasses && !model.statusClasses.includes(status)) return null;
+  return confidence >= minConfidence ? { status, confidence: round2(confidence) } : null;
+}
+
+/**
+ * Held-out precision per status label: { label: { predicted, correct,
+ * precision, baseRate, trusted } }. predicted counts the test items the model
+ * gave that label at minConfidence or more; baseRate is the label's share of
+ * the test items.
+ */
+export function statusPrecision(model, test, { minConfidence, minPrecision }) {
+  const report = {};
+  for (const label of Object.keys(model.status || {})) {
+    const guessed = test.filter(e => predictStatus(model, e.text, minConfidence)?.status === label);
+    const correct = guessed.filter(e => e.status === label).length;
+    const precision = guessed.length ? correct / guessed.length : 0;
+    const baseRate = test.length ? test.filter(e => e.status === label).length / test.length : 0;
+    const trusted = guessed.length >= MIN_PREDICTIONS && precision >= minPrecision && precision >= baseRate + PRIOR_MARGIN;
+    report[label] = { predicted: guessed.length, correct, precision: round2(precision), baseRate: round2(baseRate), trusted };
+  }
+  return report;
+}
+
+// { hubs, evidence } in the shape lib/hubs.js uses, or null. evidence.terms
+// are the item's words that pull hardest towards the hub.
+export function predictHubs(model, text, minConfidence) {
+  if (!model?.hubs) return null;
+  prepare(model);
+  const tokens = knownTokens(model, text);
+  if (!tokens.length) return null;
+  const scored = [];
+  for (const [hub, cls] of Object.entries(model.hubs)) {
+    cls.rest = cls.rest || complement(model, cls);
+    const p = posteriors({ yes: cls, no: cls.rest }, tokens, model.vocabSize, model.hubDocs.docs).yes;
+    if (p < minConfidence) continue;
+    const lift = t => Math.log(((cls.counts[t] || 0) + 1) / (cls.total + model.vocabSize))
+      - Math.log(((cls.rest.counts[t] || 0) + 1) / (cls.rest.total + model.vocabSize));
+    const terms = tokens.map(t => [t, lift(t)]).filter(([, l]) => l > 0).sort((a, b) => b[1] - a[1]).slice(0, 3).map(([t]) => t);
+    scored.push({ hub, confidence: round2(p), terms });
+  }
+  if (!scored.length) return null;
+  scored.sort((a, b) => b.confidence - a.confidence);
+  return {
+    hubs: scored.map(s => s.hub),
+    evidence: Object.fromEntries(scored.map(({ hub, confidence, terms }) => [hub, { confidence, terms, featureGroups: [], model: true }])),
+  };
+}
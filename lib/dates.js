@@ -0,0 +1,150 @@
+/**
+ * Deadline and effective-date extraction.
+ *
+ * Sunset and breaking-change posts say when things happen in prose:
+ * "Starting June 1", "will be removed on April 30th", "migrate by
+ * September 30, 2026". extractDates(text, { reference }) turns those phrases into
+ *   { effectiveDate, deadline, rolloutStart, evidence: { field: phrase } }
+ * with each date as YYYY-MM-DD. Fields with no phrase are left out; when a
+ * field is mentioned more than once the earliest date wins.
+ *
+ *   rolloutStart  — "rolling out starting …", "available from …"
+ *   deadline      — "by …", "before …", "no later than …", "until …"
+ *   effectiveDate — "starting …", "as of …", "effective …", "will be removed on …",
+ *                   or a capitalised "On April 27, 2026, …" (sentences, and
+ *                   titles run into the description, open with it)
+ *
+ * A date without a year is read against the reference (the publish date): it
+ * takes the reference's year, moved on a year if that would put it more than
+ * PAST_GRACE_DAYS earlier ("starting January 15" in a November post).
+ * "end of June" and "June 2026" resolve to the last day of the month for a
+ * deadline and the first day otherwise.
+ */
+
+const PAST_GRACE_DAYS = 90;
+const DAY_MS = 86400000;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const DAY = '\\d{1,2}(?:st|nd|rd|th)?(?!\\d)';
+const YEAR = '(?:,?\\s*\\d{4})';
+const WEEKDAY = '(?:(?:mon|tues|wednes|thurs|fri|satur|sun)day,?\\s+)?';
+const DATE = `${WEEKDAY}(?:${MONTH}\\s+${DAY}${YEAR}?|${DAY}\\s+(?:of\\s+)?${MONTH}${YEAR}?|\\d{4}-\\d{2}-\\d{2}|\\d{1,2}\\/\\d{1,2}\\/\\d{4}|(?:the\\s+)?end\\s+of\\s+${MONTH}${YEAR}?|${MONTH}\\s+\\d{4})(?![a-z\\d])`;
+
+const CHANGE_VERBS = '(?:sunset(?:ted)?|sunsetting|retired|removed|deprecated|discontinued|turned\\s+off|disabled|shut\\s+down|replaced|migrated|changing|updating|ending|end)';
+
+// Checked in this order; a date already claimed by an earlier field isn't reused.
+// Cues match any case unless given as a RegExp, which the cue itself must match.
+const CUES = {
+  rolloutStart: [
+    'roll(?:s|ing|ed)?\\s+out\\s+(?:(?:starting|beginning|from)\\s+)?(?:on\\s+|the\\s+week\\s+of\\s+)?',
+    'rollout\\s+(?:begins|starts|will\\s+(?:begin|start))\\s+(?:on\\s+)?',
+    '(?:begin|start)(?:s|ning|ing)?\\s+(?:to\\s+)?roll(?:ing)?\\s+out\\s+(?:on\\s+)?',
+    'available\\s+(?:starting|beginning|from)\\s+(?:on\\s+)?',
+  ],
+  deadline: [
+    '\\b(?:by|before|no\\s+later\\s+than|until|through)\\s+',
+    '\\bdeadline\\s*(?:is\\s+|of\\s+|:\\s*)?',
+  ],
+  effectiveDate: [
+    '\\b(?:starting|beginning|as\\s+of|effective|from)\\s+(?:on\\s+|from\\s+)?',
+    `\\b${CHANGE_VERBS}\\s+(?:on|as\\s+of)\\s+`,
+    /(?:^|\s)On\s+/,
+  ],
+};
+
+const PATTERNS = Object.fromEntries(Object.entries(CUES).map(([field, cues]) =>
+  [field, cues.map(cue => ({
+    pattern: new RegExp(`(${typeof cue === 'string' ? cue : cue.source})(${DATE})`, 'gi'),
+    exact: typeof cue === 'string' ? null : new RegExp(`^${cue.source}$`),
+  }))]));
+
+const iso = date => date.toISOString().slice(0, 10);
+
+function utcDate(year, monthIdx, day) {
+  const date = new Date(Date.UTC(year, monthIdx, day));
+  return date.getUTCMonth() === monthIdx ? date : null;
+}
+
+const monthIndex = word => MONTHS.indexOf(word.slice(0, 3).toLowerCase());
+
+// One matched date → Date (UTC midnight), or null when it isn't a real day
+function parseDate(text, reference, { endOfMonth }) {
+  const s = text.replace(/^(?:mon|tues|wednes|thurs|fri|satur|sun)day,?\s+/i, '').trim();
+  let m;
+  if ((m = s.match(/^(\d{4})-(\d{2})-(\d{2})$/))) return utcDate(+m[1], +m[2] - 1, +m[3]);
+  if ((m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) return utcDate(+m[3], +m[1] - 1, +m[2]);
+
+  let monthIdx, day, year;
+  if ((m = s.match(/^(?:the\s+)?end\s+of\s+([a-z]+)\.?(?:,?\s*(\d{4}))?$/i))) {
+    [monthIdx, day, year] = [monthIndex(m[1]), 'last', m[2]];
+  } else if ((m = s.match(/^([a-z]+)\.?\s+(\d{4})$/i))) {
+    [monthIdx, day, year] = [monthIndex(m[1]), endOfMonth ? 'last' : 1, m[2]];
+  } else if ((m = s.match(/^([a-z]+)\.?\s+(\d{1,2})(?:st|nd|rd|th)?(?:,?\s*(\d{4}))?$/i))) {
+    [monthIdx, day, year] = [monthIndex(m[1]), +m[2], m[3]];
+  } else if ((m = s.match(/^(\d{1,2})(?:st|nd|rd|th)?\s+(?:of\s+)?([a-z]+)\.?(?:,?\s*(\d{4}))?$/i))) {
+    [monthIdx, day, year] = [monthIndex(m[2]), +m[1], m[3]];
+  } else {
+    return null;
+  }
+  if (monthIdx < 0) return null;
+
+  const build = y => (day === 'last' ? new Date(Date.UTC(y, monthIdx + 1, 0)) : utcDate(y, monthIdx, day));
+  if (year) return build(+year);
+  const refYear = reference.getUTCFullYear();
+  const date = build(refYear);
+  if (date && reference - date > PAST_GRACE_DAYS * DAY_MS) return build(refYear + 1);
+  return date;
+}
+
+export function extractDates(text = '', { reference } = {}) {
+  const ref = reference ? new Date(reference) : new Date();
+  const result = { evidence: {} };
+  if (!text || isNaN(ref)) return result;
+
+  const claimed = new Set();
+  for (const [field, patterns] of Object.entries(PATTERNS)) {
+    let best = null;
+    for (const { pattern, exact } of patterns) {
+      for (const match of text.matchAll(pattern)) {
+        const end = match.index + match[0].length;
+        if (claimed.has(end) || (exact && !exact.test(match[1]))) continue;
+        const date = parseDate(match[2], ref, { endOfMonth: field === 'deadline' });
+        if (!date) continue;
+        claimed.add(end);
+        if (!best || date < best.date) best = { date, phrase: match[0].replace(/\s+/g, ' ').replace(/[.,\s]+$/, '').trim() };
+      }
+    }
+    if (best) {
+      result[field] = iso(best.date);
+      result.evidence[field] = best.phrase;
+    }
+  }
+  return result;
+}
+
+// A source's publish timestamp (epoch ms, ISO or RFC date, "MM-DD-YYYY") → ISO string, or null
+export function toISODate(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) && value > 0 ? new Date(value).toISOString() : null;
+  // Community renders dates as "‎05-02-2025" (US order, with direction marks)
+  const text = String(value).replace(/[\u200e\u200f]/g, '').trim();
+  const us = text.match(/^(\d{1,2})[-/](\d{1,2})[-/](\d{4})$/);
+  const date = us ? new Date(Date.UTC(+us[3], +us[1] - 1, +us[2])) : new Date(text);
+  return isNaN(date) ? null : date.toISOString();
+}
+
+export const DATE_FIELDS = ['deadline', 'effectiveDate', 'rolloutStart'];
+
+/**
+ * The date a countdown should show for an item: the first of DATE_FIELDS it
+ * has (a deadline matters more than when a change lands), as
+ * { field, date, days } with days counted from now (negative once passed).
+ * null when the item has none.
+ */
+export function countdown(item, now = new Date()) {
+  const field = DATE_FIELDS.find(f => item[f]);
+  if (!field) return null;
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  return { field, date: item[field], days: Math.round((new Date(item[field]) - today) / DAY_MS) };
+}
@@ -0,0 +1,106 @@
+/**
+ * Fuzzy matching of tracker items across sources.
+ *
+ * IDs are slugify(title), so "Breeze Assistant now in public beta" (Releasebot)
+ * and "Breeze Assistant (Public Beta)" (portal) would be two items. scoreMatch()
+ * compares two items on:
+ *   - title tokens (Dice coefficient), after dropping rollout phrases like
+ *     "now in public beta" and filler words — "sunset" is kept on purpose, a
+ *     retirement is a different event from the launch
+ *   - a shared link, when that link is specific to a post (not a listing page)
+ *   - publish date proximity
+ * createMatcher() keeps a token index so each item is only scored against
+ * items that share at least one title token.
+ */
+
+export const MATCH_THRESHOLD = 0.85;
+
+const ROLLOUT_PHRASES = /\b(?:is |are )?(?:now )?(?:(?:available|live|rolling out) )?(?:in |to |into )?(?:public|private|open) beta\b|\b(?:is |are )?now (?:generally )?(?:live|available)\b|\bgenerally available\b|\bearly access\b|\bdeveloper preview\b|\bbeta\b|\((?:ga|live|new)\)|\b(?:is|are) here\b/gi;
+// Reply and demo copies of a post ("Re: …", "Demo – …")
+const TITLE_PREFIXES = /^(?:re|fwd?):\s*|^demo\s*[–-]\s*/i;
+const RETIREMENT = /\b(?:sunset|retir|deprecat|discontinu|end of life)/i;
+const STOPWORDS = new Set(['a', 'an', 'the', 'and', 'or', 'for', 'to', 'of', 'in', 'on', 'with', 'your', 'you', 'is', 'are', 'now', 'new', 'introducing', 'announcing', 'from', 'by', 'at', 'as', 'its', 'it', 'into', 'all', 'more', 'can']);
+// Tokens this common can't tell items apart; skip them when finding candidates
+const MAX_POSTINGS = 300;
+
+export function titleTokens(title = '') {
+  const tokens = title.toLowerCase()
+    .replace(TITLE_PREFIXES, '')
+    .replace(ROLLOUT_PHRASES, ' ')
+    .replace(/[^a-z0-9+]+/g, ' ')
+    .split(' ')
+    .filter(t => t && !STOPWORDS.has(t))
+    .map(t => (t.length > 3 ? t.replace(/s$/, '') : t));
+  return [...new Set(tokens)];
+}
+
+function dice(a, b) {
+  if (!a.length || !b.length) return 0;
+  const set = new Set(a);
+  const shared = b.filter(t => set.has(t)).length;
+  return (2 * shared) / (a.length + b.length);
+}
+
+const round2 = n => Math.round(n * 100) / 100;
+
+// isSpecificLink(url) decides whether a shared sourceUrl identifies one post
+// (a KB article, a community thread) rather than a page many items share
+export function scoreMatch(a, b, { isSpecificLink = () => true } = {}) {
+  const ta = titleTokens(a.title);
+  const tb = titleTokens(b.title);
+  const title = dice(ta, tb);
+  const sharedLink = Boolean(a.sourceUrl && a.sourceUrl === b.sourceUrl && isSpecificLink(a.sourceUrl));
+  const daysApart = a.pubDate && b.pubDate
+    ? Math.round(Math.abs(new Date(a.pubDate) - new Date(b.pubDate)) / 86400000)
+    : null;
+
+  let score = title;
+  if (sharedLink) score += 0.25;
+  if (daysApart !== null) {
+    if (daysApart <= 14) score += 0.05;
+    else if (daysApart > 180) score -= 0.2;
+  }
+  // A retirement notice and the launch it replaces share most of their words
+  if (RETIREMENT.test(a.title || '') !== RETIREMENT.test(b.title || '')) score -= 0.3;
+  // One- or two-word titles collide too easily on words alone
+  if (!sharedLink && ta.length + tb.length < 4) score -= 0.2;
+
+  return { score: round2(Math.min(1, score)), title: round2(title), sharedLink, daysApart };
+}
+
+export function isMatch(result) {
+  return Boolean(result) && result.score >= MATCH_THRESHOLD;
+}
+
+export function createMatcher(options = {}) {
+  const items = new Map();
+  const postings = new Map();
+
+  function add(item) {
+    items.set(item.id, item);
+    for (const token of titleTokens(item.title)) {
+      if (!postings.has(token)) postings.set(token, new Set());
+      postings.get(token).add(item.id);
+    }
+  }
+
+  // Highest-scoring candidate that passes accept(candidate), or null
+  function bestMatch(item, accept = () => true) {
+    const candidates = new Set();
+    for (const token of titleTokens(item.title)) {
+      const ids = postings.get(token);
+      if (!ids || ids.size > MAX_POSTINGS) continue;
+      for (const id of ids) candidates.add(id);
+    }
+    let best = null;
+    for (const id of candidates) {
+      const candidate = items.get(id);
+      if (!candidate || candidate.id === item.id || !accept(candidate)) continue;
+      const result = scoreMatch(item, candidate, options);
+      if (!best || result.score > best.result.score) best = { item: candidate, result };
+    }
+    return best;
+  }
+
+  return { add, bestMatch };
+}
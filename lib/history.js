@@ -0,0 +1,111 @@
+/**
+ * Scan history: retention, compaction and queries over history/<date>.json.
+ *
+ * A day's file starts as the raw runs saveHistory() appends — an array of
+ * { changes: { new, statusChanged, updated, removed, … }, itemsFound, health,
+ * timestamp } with a full copy of every changed item. Once a day is older than
+ * HISTORY_RETENTION_DAYS, compactHistory() rewrites it as a daily summary:
+ *   { date, compacted: true, compactedAt, runs, itemsFound, counts, events }
+ * with one event per item and type (a day's status moves collapse into
+ * first previousStatus → last status, updated fields are unioned) and no
+ * descriptions or health.
+ *
+ * Both shapes read back as events — { type, at, id, title, status,
+ * previousStatus?, changedFields?, hubs, source, sourceUrl } — through
+ * queryHistory(), which the CLI (--history) and /api/history use.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { writeFileAtomic } from './persist.js';
+
+export const EVENT_TYPES = ['new', 'statusChanged', 'updated', 'removed'];
+export const HISTORY_RETENTION_DAYS = Number(process.env.HISTORY_RETENTION_DAYS || 30);
+
+const DAY_MS = 86400000;
+const DAY_FILE = /^(\d{4}-\d{2}-\d{2})\.json$/;
+
+export const isDay = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(value));
+
+function historyDays(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).map(f => f.match(DAY_FILE)?.[1]).filter(Boolean).sort();
+}
+
+function readDay(dir, date) {
+  return JSON.parse(fs.readFileSync(path.join(dir, `${date}.json`), 'utf8'));
+}
+
+function toEvent(type, item, at) {
+  const event = { type, at, id: item.id, title: item.title, status: item.status };
+  if (item.previousStatus) event.previousStatus = item.previousStatus;
+  if (item.changedFields) event.changedFields = item.changedFields;
+  return { ...event, hubs: item.hubs || [], source: item.source, sourceUrl: item.sourceUrl };
+}
+
+function runEvents(run) {
+  return EVENT_TYPES.flatMap(type => (run.changes?.[type] || []).map(item => toEvent(type, item, run.timestamp)));
+}
+
+function dayEvents(day) {
+  return Array.isArray(day) ? day.flatMap(runEvents) : day.events || [];
+}
+
+// One event per item and type; events arrive oldest first
+function collapse(events) {
+  const byKey = new Map();
+  for (const event of events) {
+    const key = `${event.type}:${event.id}`;
+    const prior = byKey.get(key);
+    if (!prior) {
+      byKey.set(key, { ...event });
+    } else if (event.type !== 'new') {
+      const changedFields = prior.changedFields ? [...new Set([...prior.changedFields, ...(event.changedFields || [])])] : undefined;
+      byKey.set(key, { ...event, ...(prior.previousStatus && { previousStatus: prior.previousStatus }), ...(changedFields && { changedFields }) });
+    }
+  }
+  return [...byKey.values()];
+}
+
+/**
+ * Rewrites raw days older than retentionDays as daily summaries. Returns
+ * [{ date, runs, events, bytesBefore, bytesAfter }]; with dryRun nothing is
+ * written.
+ */
+export function compactHistory(dir, { retentionDays = HISTORY_RETENTION_DAYS, now = new Date(), dryRun = false } = {}) {
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS).toISOString().slice(0, 10);
+  const compacted = [];
+  for (const date of historyDays(dir)) {
+    if (date >= cutoff) continue;
+    const file = path.join(dir, `${date}.json`);
+    const raw = readDay(dir, date);
+    if (!Array.isArray(raw)) continue;
+    const summary = {
+      date,
+      compacted: true,
+      compactedAt: now.toISOString(),
+      runs: raw.length,
+      itemsFound: raw[raw.length - 1]?.itemsFound ?? null,
+    };
+    const events = collapse(raw.flatMap(runEvents));
+    summary.counts = Object.fromEntries(EVENT_TYPES.map(type => [type, events.filter(e => e.type === type).length]));
+    summary.events = events;
+    const body = JSON.stringify(summary, null, 2);
+    compacted.push({ date, runs: raw.length, events: events.length, bytesBefore: fs.statSync(file).size, bytesAfter: Buffer.byteLength(body) });
+    if (!dryRun) writeFileAtomic(file, body);
+  }
+  return compacted;
+}
+
+/**
+ * Events between from and to (YYYY-MM-DD, inclusive) of the given types,
+ * oldest first, as { from, to, types, events }.
+ */
+export function queryHistory(dir, { from, to, types = EVENT_TYPES } = {}) {
+  const events = historyDays(dir)
+    .filter(date => (!from || date >= from) && (!to || date <= to))
+    .flatMap(date => dayEvents(readDay(dir, date)))
+    .filter(event => types.includes(event.type))
+    .sort((a, b) => String(a.at).localeCompare(String(b.at)));
+  return { from: from || null, to: to || null, types, events };
+}
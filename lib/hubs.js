@@ -0,0 +1,117 @@
+/**
+ * Hub classification.
+ *
+ * classifyHubs(text, { featureGroups }) scores every hub by the HUB_TERMS
+ * found in the text. Terms match whole words (with an optional plural), so
+ * "ai" no longer matches "email" and "api" no longer matches "capital".
+ * Each term counts once, with its weight; a negative weight takes score away
+ * ("web service" is not Service Hub). Portal featureGroups ("Help Desk",
+ * "Sales Workspace") are HubSpot's own grouping and count double.
+ *
+ * Returns
+ *   { hubs: ['Sales Hub', …], evidence: { 'Sales Hub': { score, confidence, terms, featureGroups } } }
+ * hubs are every hub scoring at least MIN_SCORE, strongest first. When none
+ * does, hubs is ['Platform'] and evidence is empty.
+ */
+
+export const MIN_SCORE = 1;
+// Score at which a hub counts as certain (confidence 1)
+const CONFIDENT_SCORE = 4;
+const FEATURE_GROUP_WEIGHT = 2;
+
+export const HUB_TERMS = {
+  'Marketing Hub': {
+    'marketing hub': 4, 'marketing': 2, 'marketing email': 3, 'email': 1, 'form': 1, 'landing page': 2,
+    'campaign': 2, 'seo': 2, 'social': 1, 'social media': 2, 'ad': 1, 'blog': 1, 'cta': 2, 'lead scoring': 2,
+    'list': 0.5, 'nurture': 1, 'a/b test': 2, 'tiktok': 2, 'linkedin': 1,
+    'email address': -1,
+  },
+  'Sales Hub': {
+    'sales hub': 4, 'sales': 2, 'sales workspace': 3, 'deal': 2, 'pipeline': 1, 'sequence': 2, 'quote': 1,
+    'forecast': 2, 'forecasting': 2, 'playbook': 2, 'prospecting': 2, 'meeting': 1, 'calling': 1, 'call': 0.5,
+    'task': 0.5,
+    'sales tax': -2,
+  },
+  'Service Hub': {
+    'service hub': 4, 'help desk': 3, 'helpdesk': 3, 'ticket': 2, 'knowledge base': 2, 'customer portal': 2,
+    'customer success': 2, 'sla': 2, 'conversation': 1, 'inbox': 1, 'feedback': 1, 'routing': 1, 'service': 1,
+    'web service': -1, 'software as a service': -1, 'service key': -1,
+  },
+  'CMS Hub': {
+    'cms hub': 4, 'content hub': 4, 'cms': 3, 'hubdb': 3, 'website': 2, 'membership': 2, 'theme': 1,
+    'template': 1, 'drag-and-drop': 1, 'module': 1, 'blog': 1, 'page': 0.5, 'content': 0.5,
+    'record page': -1, 'index page': -1, 'settings page': -1,
+  },
+  'Operations Hub': {
+    'operations hub': 4, 'data hub': 4, 'data sync': 3, 'data quality': 3, 'programmable automation': 3,
+    'workflow': 2, 'dataset': 2, 'custom code': 2, 'operations': 1, 'automation': 1, 'association': 1,
+    'report': 0.5, 'dashboard': 0.5,
+  },
+  'Commerce Hub': {
+    'commerce hub': 4, 'commerce': 2, 'payment': 2, 'invoice': 2, 'checkout': 2, 'sales tax': 2,
+    'quote': 1, 'subscription': 1, 'order': 1, 'cart': 1, 'stripe': 1,
+  },
+  'Developer Platform': {
+    'developer': 2, 'api': 2, 'sdk': 2, 'cli': 2, 'oauth': 2, 'webhook': 2, 'serverless': 2, 'hubl': 2,
+    'endpoint': 2, 'ui extension': 3, 'crm card': 2, 'extension': 1, 'sandbox': 1, 'marketplace': 1, 'custom object': 1,
+    'app': 0.5, 'object': 0.5,
+    'mobile app': -1,
+  },
+  'Breeze AI': {
+    'breeze': 3, 'copilot': 3, 'ai': 2, 'generative': 2, 'llm': 2, 'chatgpt': 2, 'agent': 1.5,
+    'assistant': 1, 'intelligence': 1,
+    'user agent': -2,
+  },
+};
+
+const escape = s => s.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+// Whole words, optional plural; "a/b test" and "drag-and-drop" keep their punctuation
+const termPattern = term => new RegExp(`(?<![a-z0-9])${escape(term)}(?:s|es)?(?![a-z0-9])`, 'i');
+
+const compiled = new WeakMap();
+function patternsFor(table) {
+  if (!compiled.has(table)) {
+    compiled.set(table, Object.fromEntries(Object.entries(table).map(([label, terms]) => [
+      label,
+      Object.entries(terms).map(([term, weight]) => ({ term, weight, pattern: termPattern(term) })),
+    ])));
+  }
+  return compiled.get(table);
+}
+
+const round2 = n => Math.round(n * 100) / 100;
+
+/**
+ * Scores text against a { label: { term: weight } } table (HUB_TERMS, or the
+ * product areas in lib/areas.js). Returns every label scoring at least
+ * MIN_SCORE, strongest first, as { label, score, confidence, terms, featureGroups }.
+ */
+export function scoreTerms(table, text = '', featureGroups = []) {
+  const groups = (Array.isArray(featureGroups) ? featureGroups : []).filter(g => typeof g === 'string');
+  const scored = [];
+  for (const [label, patterns] of Object.entries(patternsFor(table))) {
+    const matchIn = s => patterns.filter(({ pattern }) => pattern.test(s));
+    const terms = matchIn(text);
+    const groupHits = groups.map(group => ({ group, terms: matchIn(group) })).filter(g => g.terms.length);
+    const score = terms.reduce((sum, t) => sum + t.weight, 0)
+      + groupHits.reduce((sum, g) => sum + FEATURE_GROUP_WEIGHT * g.terms.reduce((s, t) => s + t.weight, 0), 0);
+    if (score < MIN_SCORE) continue;
+    scored.push({
+      label,
+      score: round2(score),
+      confidence: round2(Math.min(1, score / CONFIDENT_SCORE)),
+      terms: terms.map(t => (t.weight < 0 ? `-${t.term}` : t.term)),
+      featureGroups: groupHits.map(g => g.group),
+    });
+  }
+  return scored.sort((a, b) => b.score - a.score);
+}
+
+export function classifyHubs(text = '', { featureGroups = [] } = {}) {
+  const scored = scoreTerms(HUB_TERMS, text, featureGroups);
+  if (!scored.length) return { hubs: ['Platform'], evidence: {} };
+  return {
+    hubs: scored.map(s => s.label),
+    evidence: Object.fromEntries(scored.map(({ label, ...rest }) => [label, rest])),
+  };
+}
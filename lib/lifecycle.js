@@ -0,0 +1,51 @@
+/**
+ * Status lifecycle.
+ *
+ * Statuses sit on one ordered track:
+ *
+ *   in development → coming soon → private beta / developer preview / early access
+ *     → public beta → live → sunset
+ *
+ * The first two are the portal's roadmap stages (rolloutState IN_DEVELOPMENT,
+ * COMING_SOON). 'now live' is the same stage as 'live' (just the launch
+ * announcement), and 'breaking change' is an event on a live feature. 'update'
+ * means the source said nothing about status and never replaces a real one.
+ * 'deprioritized' (the portal shelved it) and 'withdrawn' (set by the scanner,
+ * see detectWithdrawals in index.js) sit off the track, so moves into and out
+ * of them always apply.
+ *
+ * reviewTransition(from, to, source) tells mergeResults what to do:
+ *   'ignore' — no real change ('update', or live ↔ now live)
+ *   'apply'  — a forward or sideways move, or a move back by a source trusted
+ *              to make it
+ *   'review' — a move back from any other source; held in item.statusReview
+ *              instead of being applied
+ */
+
+export const STAGES = {
+  'in development': 1,
+  'coming soon': 2,
+  'private beta': 3,
+  'developer preview': 3,
+  'early access': 3,
+  'public beta': 4,
+  'live': 5,
+  'now live': 5,
+  'breaking change': 5,
+  'sunset': 6,
+};
+
+// Source families allowed to move an item back down the track. The portal's
+// rollout state is what HubSpot actually has switched on for the account, so
+// a beta → live → beta there is real; the same flip from scraped text is noise.
+export const REGRESSION_SOURCES = ['portal'];
+
+const EQUIVALENT = new Set(['live', 'now live']);
+
+export function reviewTransition(from, to, source = '') {
+  if (!to || to === 'update' || to === from) return 'ignore';
+  if (!from || from === 'update' || !(from in STAGES) || !(to in STAGES)) return 'apply';
+  if (EQUIVALENT.has(from) && EQUIVALENT.has(to)) return 'ignore';
+  if (STAGES[to] >= STAGES[from]) return 'apply';
+  return REGRESSION_SOURCES.some(family => source.startsWith(family)) ? 'apply' : 'review';
+}
@@ -0,0 +1,151 @@
+/**
+ * Portal article HTML → sanitized Markdown.
+ *
+ * Portal updates carry `translatedContent.content` HTML laid out as
+ * "What is it?" / "Why does it matter?" / "How does it work?" sections.
+ * extractArticleSections() splits that into separate Markdown fields.
+ *
+ * Sanitizing: only text, bold/italic, inline code, lists, line breaks and
+ * http(s)/mailto links survive. Scripts, styles, iframes, images, attributes
+ * and any other markup are dropped.
+ */
+
+import { parse as parseHTML } from 'node-html-parser';
+
+const SECTIONS = [
+  { key: 'whatIsIt', label: /^what is it\??:?/i },
+  { key: 'whyItMatters', label: /^why does it matter\??:?/i },
+  { key: 'howItWorks', label: /^how does it work\??:?/i },
+];
+
+const DROP_TAGS = new Set(['script', 'style', 'iframe', 'object', 'embed', 'img', 'svg', 'video', 'audio', 'noscript', 'form', 'button']);
+const CONTAINER_TAGS = new Set(['div', 'section', 'article', 'main', 'span', 'body', 'html']);
+const SAFE_LINK = /^(https?:\/\/|mailto:)/i;
+
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*_[\]])/g, '\\$1');
+}
+
+function inline(node) {
+  if (node.nodeType === 3) return escapeMarkdown(node.text.replace(/\s+/g, ' '));
+  if (node.nodeType !== 1) return '';
+  const tag = node.rawTagName?.toLowerCase();
+  if (DROP_TAGS.has(tag)) return '';
+  const inner = () => node.childNodes.map(inline).join('');
+  const wrap = (mark) => {
+    const text = inner();
+    const trimmed = text.trim();
+    if (!trimmed) return text;
+    // Keep surrounding spaces outside the markers or Markdown won't parse them
+    return text.replace(trimmed, `${mark}${trimmed}${mark}`);
+  };
+  switch (tag) {
+    case 'br': return '\n';
+    case 'strong': case 'b': return wrap('**');
+    case 'em': case 'i': return wrap('_');
+    case 'code': return `\`${node.text.replace(/`/g, '')}\``;
+    case 'a': {
+      const text = inner().trim();
+      const href = (node.getAttribute('href') || '').trim();
+      if (!text) return '';
+      const url = href.replace(/\(/g, '%28').replace(/\)/g, '%29').replace(/\s/g, '%20');
+      return SAFE_LINK.test(href) ? `[${text}](${url})` : text;
+    }
+    case 'ul': case 'ol': return '\n' + list(node, 0) + '\n';
+    default: return inner();
+  }
+}
+
+function list(node, depth) {
+  const ordered = node.rawTagName?.toLowerCase() === 'ol';
+  let n = 0;
+  return node.childNodes
+    .filter(li => li.nodeType === 1 && li.rawTagName?.toLowerCase() === 'li')
+    .map(li => {
+      n++;
+      const nested = li.childNodes.filter(c => c.nodeType === 1 && /^(ul|ol)$/i.test(c.rawTagName || ''));
+      const text = li.childNodes.filter(c => !nested.includes(c)).map(inline).join('').replace(/\s+/g, ' ').trim();
+      const line = `${'  '.repeat(depth)}${ordered ? `${n}.` : '-'} ${text}`;
+      return [line, ...nested.map(sub => list(sub, depth + 1))].join('\n');
+    })
+    .join('\n');
+}
+
+// Flattens wrapper elements so each paragraph, list or heading is its own block
+function blocks(node) {
+  const out = [];
+  for (const child of node.childNodes) {
+    if (child.nodeType === 3) {
+      if (child.text.trim()) out.push(child);
+      continue;
+    }
+    if (child.nodeType !== 1) continue;
+    const tag = child.rawTagName?.toLowerCase();
+    if (DROP_TAGS.has(tag)) continue;
+    if (CONTAINER_TAGS.has(tag) && child.childNodes.some(c => c.nodeType === 1 && !/^(a|strong|b|em|i|code|br|span)$/i.test(c.rawTagName || ''))) {
+      out.push(...blocks(child));
+    } else {
+      out.push(child);
+    }
+  }
+  return out;
+}
+
+function blockToMarkdown(node) {
+  const tag = node.nodeType === 1 ? node.rawTagName?.toLowerCase() : null;
+  if (tag === 'ul' || tag === 'ol') return list(node, 0);
+  const text = inline(node)
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .trim();
+  // Headings inside a section read better as bold lead-ins than as Markdown headings
+  return /^h[1-6]$/.test(tag || '') && text ? `**${text.replace(/^\*\*|\*\*$/g, '')}**` : text;
+}
+
+function tidy(markdown) {
+  return markdown.replace(/\n{3,}/g, '\n\n').trim();
+}
+
+export function htmlToMarkdown(html) {
+  if (!html) return '';
+  return tidy(blocks(parseHTML(html)).map(blockToMarkdown).filter(Boolean).join('\n\n'));
+}
+
+// Plain-text form of a section label as it appears at the start of a block,
+// allowing for bold markers and trailing colons
+function stripLabel(markdown, label) {
+  const plain = markdown.replace(/^\*\*/, '');
+  const match = plain.match(label);
+  if (!match || match.index !== 0) return null;
+  return plain.slice(match[0].length).replace(/^\**\s*:?\s*/, '').trim();
+}
+
+/**
+ * Splits portal article HTML into { whatIsIt, whyItMatters, howItWorks }
+ * Markdown fields. Sections that are absent come back as null; returns null
+ * when the article doesn't use the section layout at all.
+ */
+export function extractArticleSections(html) {
+  if (!html) return null;
+  const sections = { whatIsIt: [], whyItMatters: [], howItWorks: [] };
+  let current = null;
+  let found = false;
+
+  for (const block of blocks(parseHTML(html))) {
+    const markdown = blockToMarkdown(block);
+    if (!markdown) continue;
+    const heading = SECTIONS.find(s => stripLabel(markdown, s.label) !== null);
+    if (heading) {
+      current = heading.key;
+      found = true;
+      const rest = stripLabel(markdown, heading.label);
+      if (rest) sections[current].push(rest);
+      continue;
+    }
+    if (current) sections[current].push(markdown);
+  }
+
+  if (!found) return null;
+  return Object.fromEntries(Object.entries(sections).map(([key, parts]) => [key, parts.length ? tidy(parts.join('\n\n')) : null]));
+}
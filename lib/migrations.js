@@ -0,0 +1,185 @@
+/**
+ * State schema versions and the migrations between them.
+ *
+ * Persisted state carries `schemaVersion`. Every store hands what it reads to
+ * migrateState() (the `upgrade` hook of lib/storage.js), which runs each
+ * MIGRATIONS entry newer than the stored version in order, in place, and sets
+ * schemaVersion to SCHEMA_VERSION. State without a version is version 0. The
+ * scanner can then assume the current shape instead of guarding for old items.
+ *
+ * To change the shape of stored state: append a migration with the next
+ * version. up(state, ctx) updates the state in place and returns how many
+ * items (or top-level keys) it changed, which `node index.js --migrate
+ * --dry-run` reports. Never edit a released migration — add another.
+ */
+
+import { parseAvailability } from './availability.js';
+import { classifyAreas } from './areas.js';
+import { toISODate } from './dates.js';
+import { PROVENANCE_FIELDS } from './precedence.js';
+
+const DAY_MS = 86400000;
+
+// Runs fn on every item and counts the ones it reports as changed
+function eachItem(state, fn) {
+  return Object.values(state.betas).filter(item => fn(item)).length;
+}
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'wrap-flat-state',
+    description: 'Wrap the flat { id: item } format as { betas, lastScan, scanCount }',
+    up(state) {
+      // Flat: the keys are item IDs, with none of the wrapped format's own keys
+      if (!state.betas && !state.lastScan && !state.scanCount) {
+        const betas = { ...state };
+        for (const key of Object.keys(betas)) delete state[key];
+        Object.assign(state, { betas, lastScan: null, scanCount: 0 });
+        return Object.keys(betas).length;
+      }
+      let changed = 0;
+      for (const [key, value] of [['betas', {}], ['lastScan', null], ['scanCount', 0]]) {
+        if (state[key] === undefined) {
+          state[key] = value;
+          changed++;
+        }
+      }
+      return changed;
+    },
+  },
+  {
+    version: 2,
+    name: 'item-defaults',
+    description: 'Give every item hubs, sources and a statusHistory',
+    up(state) {
+      return eachItem(state, item => {
+        let changed = false;
+        if (!item.hubs?.length) {
+          item.hubs = ['Platform'];
+          changed = true;
+        }
+        if (!item.sources?.length) {
+          item.sources = [item.source];
+          changed = true;
+        }
+        if (!Array.isArray(item.statusHistory)) {
+          item.statusHistory = [{ status: item.status, date: item.firstSeen || item.lastSeen || null, source: item.source }];
+          changed = true;
+        }
+        return changed;
+      });
+    },
+  },
+  {
+    version: 3,
+    name: 'availability-editions',
+    description: 'Parse editions and add-ons from availability text stored before lib/availability.js',
+    up(state) {
+      return eachItem(state, item => {
+        if (!item.availability || item.editions) return false;
+        const { editions, addOns } = parseAvailability(item.availability);
+        Object.assign(item, { editions, addOns });
+        return true;
+      });
+    },
+  },
+  {
+    version: 4,
+    name: 'date-confidence',
+    description: 'Normalise pubDate to ISO and set dateConfidence; community dates that track lastSeen become scan-time',
+    up(state, { now }) {
+      return eachItem(state, item => {
+        if (item.dateConfidence) return false;
+        // Older scans re-stamped community items with the scan time on every run, so a
+        // community pubDate that tracks lastSeen is a sighting, not a post date
+        const pubDate = toISODate(item.pubDate);
+        const tracksLastSeen = pubDate && item.lastSeen && Math.abs(new Date(pubDate) - new Date(item.lastSeen)) < DAY_MS;
+        if (!pubDate || (item.source === 'community' && tracksLastSeen)) {
+          Object.assign(item, { pubDate: item.firstSeen || pubDate || now, dateConfidence: 'scan-time' });
+        } else {
+          Object.assign(item, { pubDate, dateConfidence: 'exact' });
+        }
+        return true;
+      });
+    },
+  },
+  {
+    version: 5,
+    name: 'field-provenance',
+    description: 'Record the item\'s own source as the provenance of fields stored before provenance was tracked',
+    up(state, { now }) {
+      return eachItem(state, item => {
+        const missing = PROVENANCE_FIELDS.filter(field => item[field] && !item.provenance?.[field]);
+        if (!missing.length) return false;
+        item.provenance = item.provenance || {};
+        for (const field of missing) item.provenance[field] = { source: item.source, at: item.firstSeen || now };
+        return true;
+      });
+    },
+  },
+  {
+    version: 6,
+    name: 'product-areas',
+    description: 'Tag items stored before product areas existed from their title and description',
+    up(state) {
+      return eachItem(state, item => {
+        if (item.areas) return false;
+        item.areas = classifyAreas(`${item.title} ${item.description || ''}`, { featureGroups: item.featureGroups });
+        return true;
+      });
+    },
+  },
+  {
+    version: 7,
+    name: 'availability-pairing',
+    description: 'Re-parse editions now that each tier pairs with the hub named before it',
+    up(state) {
+      return eachItem(state, item => {
+        if (!item.availability) return false;
+        const { editions, addOns } = parseAvailability(item.availability);
+        if (JSON.stringify(editions) === JSON.stringify(item.editions) && JSON.stringify(addOns) === JSON.stringify(item.addOns)) return false;
+        Object.assign(item, { editions, addOns });
+        return true;
+      });
+    },
+  },
+  {
+    version: 8,
+    name: 'slim-alias-snapshots',
+    description: 'Keep only the fields --split-merge needs in merged aliases\' item snapshots',
+    up(state) {
+      // The fields ALIAS_ITEM_FIELDS in index.js had when this migration shipped
+      const keep = new Set(['title', 'description', 'status', 'hubs', 'areas', 'source', 'sourceUrl', 'pubDate', 'dateConfidence',
+        'availability', 'editions', 'addOns', 'firstSeen', 'lastSeen', 'statusHistory', 'provenance']);
+      return eachItem(state, item => {
+        const fat = (item.aliases || []).filter(alias => alias.item && Object.keys(alias.item).some(key => !keep.has(key)));
+        for (const alias of fat) {
+          alias.item = Object.fromEntries(Object.entries(alias.item).filter(([key]) => keep.has(key)));
+        }
+        return fat.length > 0;
+      });
+    },
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Brings state up to SCHEMA_VERSION in place. Returns { state, from, to,
+ * applied: [{ version, name, description, changed }] }; applied is empty when
+ * the state was current. Throws on state newer than this code.
+ */
+export function migrateState(state, { now = new Date().toISOString() } = {}) {
+  const from = state.schemaVersion ?? 0;
+  if (from > SCHEMA_VERSION) {
+    throw new Error(`State is schema v${from}, newer than this code understands (v${SCHEMA_VERSION}) — update before scanning`);
+  }
+  const applied = [];
+  for (const { version, name, description, up } of MIGRATIONS) {
+    if (version <= from) continue;
+    applied.push({ version, name, description, changed: up(state, { now }) });
+    state.schemaVersion = version;
+  }
+  return { state, from, to: state.schemaVersion ?? from, applied };
+}
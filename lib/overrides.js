@@ -0,0 +1,75 @@
+/**
+ * Manual curation overrides.
+ *
+ * overrides.json maps an item ID (or an alias ID from a cross-source merge)
+ * to the values a person decided on:
+ *
+ *   {
+ *     "portal-14089243": {
+ *       "title": "Data Agent: CRM data source",
+ *       "description": "…",
+ *       "status": "public beta",
+ *       "hubs": ["Sales Hub"],
+ *       "hidden": true,
+ *       "pinned": true,
+ *       "whyItMatters": "Markdown shown in the dashboard's Why it matters row",
+ *       "mergeInto": "portal-14089248",
+ *       "author": "rsm",
+ *       "reason": "Portal title is an internal codename"
+ *     }
+ *   }
+ *
+ * author and reason are required. descriptions-manual.json (`{ id: "text" }`)
+ * is still read as description-only overrides; overrides.json wins for an ID
+ * listed in both.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// Fields that replace a scanned value; the scanned value is kept to restore later
+export const CURATED_FIELDS = ['title', 'description', 'status', 'hubs'];
+// Fields that only exist because of an override
+export const FLAG_FIELDS = ['hidden', 'pinned', 'whyItMatters'];
+
+const KNOWN_KEYS = new Set([...CURATED_FIELDS, ...FLAG_FIELDS, 'mergeInto', 'author', 'reason']);
+
+function readJSON(file) {
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function problemWith(override) {
+  if (!override || typeof override !== 'object' || Array.isArray(override)) return 'must be an object';
+  if (!override.author || !override.reason) return 'needs an author and a reason';
+  const unknown = Object.keys(override).filter(key => !KNOWN_KEYS.has(key));
+  if (unknown.length) return `unknown field(s): ${unknown.join(', ')}`;
+  if (override.hubs !== undefined && (!Array.isArray(override.hubs) || !override.hubs.length)) return 'hubs must be a non-empty array';
+  if (!CURATED_FIELDS.concat(FLAG_FIELDS, 'mergeInto').some(key => override[key] !== undefined)) return 'overrides nothing';
+  return null;
+}
+
+/**
+ * Returns { overrides: Map(id → override), invalid: [{ id, problem }] }.
+ * Invalid entries are left out rather than failing the scan.
+ */
+export function loadOverrides(dir) {
+  const overrides = new Map();
+  const invalid = [];
+
+  const legacy = readJSON(path.join(dir, 'descriptions-manual.json')) || {};
+  for (const [id, description] of Object.entries(legacy)) {
+    if (typeof description === 'string' && description.trim()) {
+      overrides.set(id, { description: description.trim(), author: 'descriptions-manual.json', reason: 'Curated description' });
+    }
+  }
+
+  const curated = readJSON(path.join(dir, 'overrides.json')) || {};
+  for (const [id, override] of Object.entries(curated)) {
+    const problem = problemWith(override);
+    if (problem) invalid.push({ id, problem });
+    else overrides.set(id, override);
+  }
+
+  return { overrides, invalid };
+}
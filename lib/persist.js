@@ -0,0 +1,170 @@
+/**
+ * Scan lock and crash-safe file writes.
+ *
+ * Scans can start from three places: the server's timer, /api/scan and the
+ * cron script. All of them read-modify-write the same state, so only one may
+ * run at a time. acquireScanLock(dir) creates `.scan.lock` in dir exclusively
+ * and writes { pid, host, command, trigger, startedAt } into it; a second
+ * caller gets a ScanLockedError carrying that holder. While the lock is held
+ * its mtime is touched every HEARTBEAT_MS, and it is released when the
+ * process exits. A lock is stale — and taken over — when its process is gone
+ * (same host) or it hasn't been touched for SCAN_LOCK_STALE_MINUTES. Taking
+ * over renames the stale file aside first, so when two runs find the same
+ * stale lock only one rename succeeds, and a run that moved a newer lock than
+ * the one it inspected puts it back and gives up.
+ *
+ * writeFileAtomic() writes to a temp file next to the target and renames it
+ * over, so a crash mid-write leaves the old file, never half of a new one.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+export const SCAN_LOCK_FILE = '.scan.lock';
+// Exit code of a CLI run that found the lock held (EX_TEMPFAIL)
+export const SCAN_LOCKED_EXIT = 75;
+
+const HEARTBEAT_MS = 30_000;
+const STALE_MS = Number(process.env.SCAN_LOCK_STALE_MINUTES || 10) * 60_000;
+
+export function writeFileAtomic(file, data) {
+  const tmp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+  try {
+    const fd = fs.openSync(tmp, 'w');
+    try {
+      fs.writeFileSync(fd, data);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmp, file);
+  } catch (err) {
+    fs.rmSync(tmp, { force: true });
+    throw err;
+  }
+}
+
+export class ScanLockedError extends Error {
+  constructor(holder) {
+    super(`A scan is already running (pid ${holder.pid} on ${holder.host}, ${holder.command}, started ${holder.startedAt})`);
+    this.name = 'ScanLockedError';
+    this.holder = holder;
+  }
+}
+
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+function readLockInfo(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+function inspectLock(file) {
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+  // Caught between create and write the info is empty: the mtime still says how old it is
+  const info = readLockInfo(file);
+  const heartbeatAt = stat.mtime.toISOString();
+  let staleReason = null;
+  if (info.host === os.hostname() && info.pid && !processAlive(info.pid)) staleReason = `process ${info.pid} is gone`;
+  else if (Date.now() - stat.mtimeMs > STALE_MS) staleReason = `no heartbeat since ${heartbeatAt}`;
+  return { ...info, heartbeatAt, staleReason };
+}
+
+/**
+ * The scan holding the lock in dir as { pid, host, command, trigger,
+ * startedAt, heartbeatAt }, or null when there is none (or only a stale one).
+ */
+export function readScanLock(dir) {
+  const holder = inspectLock(path.join(dir, SCAN_LOCK_FILE));
+  if (!holder || holder.staleReason) return null;
+  const { staleReason, ...info } = holder;
+  return info;
+}
+
+// Moves the stale lock that was inspected out of the way. False when it was
+// already gone or had been replaced by a live one (which is put back).
+function removeStaleLock(file, stale) {
+  const aside = `${file}.${process.pid}.${Date.now()}.stale`;
+  try {
+    fs.renameSync(file, aside);
+  } catch (err) {
+    if (err.code === 'ENOENT') return false;
+    throw err;
+  }
+  const moved = readLockInfo(aside);
+  if (moved.pid === stale.pid && moved.startedAt === stale.startedAt) {
+    fs.rmSync(aside, { force: true });
+    return true;
+  }
+  // Someone else took over between our inspect and rename: restore their lock
+  // unless yet another run has created one since
+  try {
+    fs.linkSync(aside, file);
+  } catch (err) {
+    if (err.code !== 'EEXIST') throw err;
+  }
+  fs.rmSync(aside, { force: true });
+  throw new ScanLockedError(moved);
+}
+
+/**
+ * Takes the scan lock in dir or throws ScanLockedError. Returns
+ * { info, release() }; release() is also run on process exit.
+ */
+export function acquireScanLock(dir, { command = 'scan', trigger = 'cli' } = {}) {
+  const file = path.join(dir, SCAN_LOCK_FILE);
+  const info = { pid: process.pid, host: os.hostname(), command, trigger, startedAt: new Date().toISOString() };
+  for (let attempt = 0; attempt < 3; attempt++) {
+    let fd;
+    try {
+      fd = fs.openSync(file, 'wx');
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      const holder = inspectLock(file);
+      if (holder && !holder.staleReason) throw new ScanLockedError(holder);
+      if (holder && removeStaleLock(file, holder)) console.warn(`⚠️ Took over stale scan lock (${holder.staleReason})`);
+      continue;
+    }
+    fs.writeFileSync(fd, JSON.stringify(info, null, 2));
+    fs.closeSync(fd);
+
+    const heartbeat = setInterval(() => {
+      try {
+        const now = new Date();
+        fs.utimesSync(file, now, now);
+      } catch {}
+    }, HEARTBEAT_MS);
+    heartbeat.unref();
+
+    let released = false;
+    const release = () => {
+      if (released) return;
+      released = true;
+      clearInterval(heartbeat);
+      process.off('exit', release);
+      // Only remove the lock if it is still ours
+      const current = inspectLock(file);
+      if (current?.pid === info.pid && current.startedAt === info.startedAt) fs.rmSync(file, { force: true });
+    };
+    process.on('exit', release);
+    return { info, release };
+  }
+  throw new ScanLockedError(inspectLock(file) || info);
+}
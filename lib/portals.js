@@ -0,0 +1,96 @@
+/**
+ * HubSpot portal configuration shared by the scanner (index.js) and the
+ * server's health checks (server.js).
+ *
+ * Single portal (default — the RSM EU portal):
+ *   HUBSPOT_PORTAL_COOKIE / HUBSPOT_PORTAL_CSRF   session auth
+ *   HUBSPOT_PORTAL_ID                             default 139633041
+ *   HUBSPOT_PORTAL_REGION                         eu1 (default), na1, ap1, …
+ *   HUBSPOT_PORTAL_HOST                           optional override, e.g. app.hubspot.com
+ *
+ * Several portals in one scan:
+ *   HUBSPOT_PORTALS=eu1:139633041,na1:4567890
+ *   HUBSPOT_PORTAL_COOKIE_4567890 / HUBSPOT_PORTAL_CSRF_4567890 per portal,
+ *   falling back to the unsuffixed vars. Sessions are per data center, so an
+ *   eu1 cookie will not authenticate against app.hubspot.com.
+ *
+ * The first portal listed is the primary: its content wins when several
+ * portals report the same update.
+ */
+
+export const DEFAULT_PORTAL_ID = '139633041';
+export const DEFAULT_PORTAL_REGION = 'eu1';
+
+export function portalHostForRegion(region) {
+  const r = (region || DEFAULT_PORTAL_REGION).toLowerCase();
+  // na1 is the original US data center and has no region suffix
+  return r === 'na1' || r === 'us' ? 'app.hubspot.com' : `app-${r}.hubspot.com`;
+}
+
+function normalizeRegion(region) {
+  const r = (region || DEFAULT_PORTAL_REGION).toLowerCase();
+  return r === 'us' ? 'na1' : r;
+}
+
+function portalAuth(env, portalId) {
+  return {
+    cookie: env[`HUBSPOT_PORTAL_COOKIE_${portalId}`] || env.HUBSPOT_PORTAL_COOKIE || '',
+    csrf: env[`HUBSPOT_PORTAL_CSRF_${portalId}`] || env.HUBSPOT_PORTAL_CSRF || '',
+  };
+}
+
+export function loadPortalConfigs(env = process.env) {
+  const list = (env.HUBSPOT_PORTALS || '').split(',').map(s => s.trim()).filter(Boolean);
+  const specs = list.length
+    ? list.map(spec => {
+      const [region, portalId] = spec.includes(':') ? spec.split(':') : [env.HUBSPOT_PORTAL_REGION, spec];
+      return { region, portalId };
+    })
+    : [{ region: env.HUBSPOT_PORTAL_REGION, portalId: env.HUBSPOT_PORTAL_ID || DEFAULT_PORTAL_ID }];
+
+  return specs.map(({ region, portalId }, i) => {
+    const normalized = normalizeRegion(region);
+    return {
+      portalId: String(portalId).trim(),
+      region: normalized,
+      // A host override only makes sense for the single-portal setup
+      host: (!list.length && env.HUBSPOT_PORTAL_HOST) || portalHostForRegion(normalized),
+      primary: i === 0,
+      ...portalAuth(env, String(portalId).trim()),
+    };
+  });
+}
+
+export function portalLabel(portal) {
+  return `${portal.region}:${portal.portalId}`;
+}
+
+export function portalCookieHeader(cookie, csrf) {
+  if (!cookie || !csrf) return '';
+  const hasHubspotApiName = cookie.includes('hubspotapi=');
+  const baseCookie = hasHubspotApiName ? cookie : `hubspotapi=${cookie}; hubspotapi-csrf=${csrf}`;
+  return baseCookie.includes('hubspotapi-csrf=') ? baseCookie : `${baseCookie}; hubspotapi-csrf=${csrf}`;
+}
+
+// startStageDate (epoch ms) is the same filter the portal UI uses; only updates
+// whose rollout stage changed on or after it are listed. It is the only date
+// filter the endpoint takes: updates edited (updatedAt, translationUpdatedAt)
+// without a stage change can't be asked for, only found by a full listing
+export function portalListUrl(portal, { limit, offset, startStageDate }) {
+  const since = startStageDate ? `&startStageDate=${startStageDate}` : '';
+  return `https://${portal.host}/api/product-updates/v3/rollout-product-updates/list?portalId=${portal.portalId}&limit=${limit}&offset=${offset}${since}`;
+}
+
+export function portalDetailUrl(portal, updateId) {
+  return `https://${portal.host}/api/product-updates/v3/rollout-product-updates/${updateId}?portalId=${portal.portalId}`;
+}
+
+export function portalHeaders(portal) {
+  return {
+    'accept': 'application/json, text/javascript, */*; q=0.01',
+    'referer': `https://${portal.host}/product-updates/${portal.portalId}/all`,
+    'x-hubspot-csrf-hubspotapi': portal.csrf,
+    'cookie': portalCookieHeader(portal.cookie, portal.csrf),
+    'user-agent': 'Mozilla/5.0',
+  };
+}
@@ -0,0 +1,47 @@
+/**
+ * Per-field source precedence for merging items seen by several sources.
+ *
+ * Sources are named by family — an item's `source` matches a family when it
+ * starts with it, so `releasebot` covers releasebot-product and releasebot-dev.
+ * Earlier in the list wins; sources not listed rank after every listed one.
+ *
+ * Override with FIELD_PRECEDENCE, `field=family,family;…` with `*` for the
+ * default order, e.g.
+ *   FIELD_PRECEDENCE="*=portal,releasebot,community,dev-changelog;status=portal,dev-changelog"
+ */
+
+export const PROVENANCE_FIELDS = ['title', 'description', 'status', 'hubs', 'pubDate', 'sourceUrl'];
+
+export const DEFAULT_PRECEDENCE = {
+  '*': ['portal', 'releasebot', 'product-updates', 'community', 'dev-changelog'],
+};
+
+export function loadFieldPrecedence(env = process.env) {
+  const policy = { ...DEFAULT_PRECEDENCE };
+  for (const rule of (env.FIELD_PRECEDENCE || '').split(';').map(s => s.trim()).filter(Boolean)) {
+    const [field, list] = rule.split('=').map(s => s.trim());
+    if (!list || (field !== '*' && !PROVENANCE_FIELDS.includes(field))) {
+      throw new Error(`Bad FIELD_PRECEDENCE rule "${rule}" — expected field=source,source with field one of *, ${PROVENANCE_FIELDS.join(', ')}`);
+    }
+    policy[field] = list.split(',').map(s => s.trim()).filter(Boolean);
+  }
+  return policy;
+}
+
+// Lower is stronger. Manual overrides (lib/overrides.js) beat every source.
+export function sourceRank(policy, field, source) {
+  if (source === 'override') return -1;
+  const order = policy[field] || policy['*'];
+  const idx = order.findIndex(family => (source || '').startsWith(family));
+  return idx === -1 ? order.length : idx;
+}
+
+/**
+ * Compares an incoming source against the one that supplied the stored value:
+ * 1 when incoming outranks it, 0 when they tie, -1 when it ranks lower.
+ */
+export function comparePrecedence(policy, field, incomingSource, currentSource) {
+  const a = sourceRank(policy, field, incomingSource);
+  const b = sourceRank(policy, field, currentSource);
+  return a === b ? 0 : (a < b ? 1 : -1);
+}
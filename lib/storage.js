@@ -0,0 +1,343 @@
+/**
+ * State storage.
+ *
+ * The scanner and the server go through a store instead of reading state.json
+ * themselves. STORAGE_BACKEND picks it:
+ *   json   — state.json, the whole state in one file (default; what the repo commits)
+ *   sqlite — state.db via better-sqlite3: items, their status history, hub and
+ *            area tags, aliases and scan runs in indexed tables; every other
+ *            top-level state key (lastScan, portalSync, rejections, …) is a
+ *            JSON row in `meta`
+ *
+ * Every store has
+ *   load()             → the whole state ({ betas, lastScan, scanCount, … }),
+ *                        the caller's to change; nothing is written until save()
+ *   save(state)        — write it back. SQLite only rewrites items that changed.
+ *   read()             → the same, shared and cached until the store changes on
+ *                        disk. Read-only: for the server.
+ *   queryItems(filter) → items matching { statuses, sources, hubs, areas, since,
+ *                        includeHidden }, newest pubDate first. sources match by
+ *                        family prefix, like lib/precedence.js.
+ *   getItem(id)        → one item by ID or alias ID, or null
+ *   recordScanRun(run) — one row per scan (JSON: nothing; history/ has the reports)
+ *   scanRuns(limit)    → recent runs, newest first
+ *   close()
+ *
+ * `upgrade(state)` (optional) runs on every state the store reads from disk —
+ * load() and each read() refresh — and returns it brought up to date; index.js
+ * and server.js pass lib/migrations.js here. queryItems() and getItem() return
+ * rows as stored, so on SQLite they are as current as the last save().
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { writeFileAtomic } from './persist.js';
+
+export const STORAGE_BACKENDS = ['json', 'sqlite'];
+
+const DEFAULT_FILES = { json: 'state.json', sqlite: 'state.db' };
+
+function emptyState() {
+  return { betas: {}, lastScan: null, scanCount: 0 };
+}
+
+// Items the way saveState always wrote them: newest pubDate first
+function byPubDateDesc(a, b) {
+  return new Date(b.pubDate || 0).getTime() - new Date(a.pubDate || 0).getTime();
+}
+
+function matchesFilter(item, { statuses, sources, hubs, areas, since, includeHidden } = {}) {
+  if (!includeHidden && item.hidden) return false;
+  if (statuses?.length && !statuses.includes(item.status)) return false;
+  if (sources?.length && !sources.some(family => (item.source || '').startsWith(family))) return false;
+  if (hubs?.length && !(item.hubs || []).some(h => hubs.includes(h))) return false;
+  if (areas?.length && !(item.areas || []).some(a => areas.includes(a))) return false;
+  if (since && !(item.pubDate && item.pubDate >= since)) return false;
+  return true;
+}
+
+// ─── JSON ───────────────────────────────────────────────────────────────────
+
+function jsonStore(file, upgrade) {
+  let cache = null;
+
+  function parse() {
+    return upgrade(JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+
+  const store = {
+    backend: 'json',
+    file,
+    load() {
+      return fs.existsSync(file) ? parse() : upgrade(emptyState());
+    },
+    save(state) {
+      const betas = Object.fromEntries(Object.entries(state.betas || {}).sort(([, a], [, b]) => byPubDateDesc(a, b)));
+      writeFileAtomic(file, JSON.stringify({ ...state, betas }, null, 2));
+      cache = null;
+    },
+    read() {
+      if (!fs.existsSync(file)) return upgrade(emptyState());
+      const { mtimeMs, size } = fs.statSync(file);
+      if (!cache || cache.mtimeMs !== mtimeMs || cache.size !== size) cache = { mtimeMs, size, state: parse() };
+      return cache.state;
+    },
+    queryItems(filter = {}) {
+      return Object.values(store.read().betas || {}).filter(item => matchesFilter(item, filter)).sort(byPubDateDesc);
+    },
+    getItem(id) {
+      const betas = store.read().betas || {};
+      return betas[id] || Object.values(betas).find(b => (b.aliases || []).some(a => a.id === id)) || null;
+    },
+    recordScanRun() {},
+    scanRuns() {
+      return [];
+    },
+    close() {},
+  };
+  return store;
+}
+
+// ─── SQLite ─────────────────────────────────────────────────────────────────
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS items (
+    id TEXT PRIMARY KEY,
+    status TEXT,
+    source TEXT,
+    pub_date TEXT,
+    first_seen TEXT,
+    last_seen TEXT,
+    hidden INTEGER NOT NULL DEFAULT 0,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS items_status ON items (status);
+  CREATE INDEX IF NOT EXISTS items_source ON items (source);
+  CREATE INDEX IF NOT EXISTS items_pub_date ON items (pub_date);
+  CREATE TABLE IF NOT EXISTS item_hubs (item_id TEXT NOT NULL, hub TEXT NOT NULL, PRIMARY KEY (item_id, hub));
+  CREATE INDEX IF NOT EXISTS item_hubs_hub ON item_hubs (hub);
+  CREATE TABLE IF NOT EXISTS item_areas (item_id TEXT NOT NULL, area TEXT NOT NULL, PRIMARY KEY (item_id, area));
+  CREATE INDEX IF NOT EXISTS item_areas_area ON item_areas (area);
+  CREATE TABLE IF NOT EXISTS item_aliases (alias_id TEXT PRIMARY KEY, item_id TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS status_history (
+    item_id TEXT NOT NULL,
+    seq INTEGER NOT NULL,
+    status TEXT,
+    date TEXT,
+    source TEXT,
+    entry TEXT NOT NULL,
+    PRIMARY KEY (item_id, seq)
+  );
+  CREATE INDEX IF NOT EXISTS status_history_date ON status_history (date);
+  CREATE TABLE IF NOT EXISTS scan_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    scanned_at TEXT NOT NULL,
+    mode TEXT,
+    items_found INTEGER,
+    new_count INTEGER,
+    status_changed_count INTEGER,
+    updated_count INTEGER,
+    removed_count INTEGER,
+    health TEXT
+  );
+`;
+
+function openDatabase(file) {
+  let Database;
+  try {
+    Database = createRequire(import.meta.url)('better-sqlite3');
+  } catch (err) {
+    throw new Error(`STORAGE_BACKEND=sqlite needs the better-sqlite3 package (npm install): ${err.message}`);
+  }
+  const db = new Database(file);
+  // WAL lets the server read while a scan writes
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+  return db;
+}
+
+function sqliteStore(file, upgrade) {
+  const db = openDatabase(file);
+  const sql = {
+    meta: db.prepare('SELECT key, value FROM meta'),
+    setMeta: db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value'),
+    deleteMeta: db.prepare('DELETE FROM meta WHERE key = ?'),
+    ids: db.prepare('SELECT id FROM items'),
+    item: db.prepare('SELECT id, data FROM items WHERE id = ?'),
+    aliasOwner: db.prepare('SELECT i.id, i.data FROM item_aliases a JOIN items i ON i.id = a.item_id WHERE a.alias_id = ?'),
+    allHistory: db.prepare('SELECT item_id, entry FROM status_history ORDER BY item_id, seq'),
+    history: db.prepare('SELECT entry FROM status_history WHERE item_id = ? ORDER BY seq'),
+    upsertItem: db.prepare(`INSERT INTO items (id, status, source, pub_date, first_seen, last_seen, hidden, data)
+      VALUES (@id, @status, @source, @pubDate, @firstSeen, @lastSeen, @hidden, @data)
+      ON CONFLICT (id) DO UPDATE SET status = excluded.status, source = excluded.source, pub_date = excluded.pub_date,
+        first_seen = excluded.first_seen, last_seen = excluded.last_seen, hidden = excluded.hidden, data = excluded.data`),
+    insertHub: db.prepare('INSERT OR IGNORE INTO item_hubs (item_id, hub) VALUES (?, ?)'),
+    insertArea: db.prepare('INSERT OR IGNORE INTO item_areas (item_id, area) VALUES (?, ?)'),
+    insertAlias: db.prepare('INSERT OR REPLACE INTO item_aliases (alias_id, item_id) VALUES (?, ?)'),
+    insertHistory: db.prepare('INSERT INTO status_history (item_id, seq, status, date, source, entry) VALUES (?, ?, ?, ?, ?, ?)'),
+    insertRun: db.prepare(`INSERT INTO scan_runs (scanned_at, mode, items_found, new_count, status_changed_count, updated_count, removed_count, health)
+      VALUES (@scannedAt, @mode, @itemsFound, @newCount, @statusChangedCount, @updatedCount, @removedCount, @health)`),
+    runs: db.prepare(`SELECT id, scanned_at AS scannedAt, mode, items_found AS itemsFound, new_count AS newCount,
+      status_changed_count AS statusChangedCount, updated_count AS updatedCount, removed_count AS removedCount, health
+      FROM scan_runs ORDER BY id DESC LIMIT ?`),
+  };
+  const clearItem = ['item_hubs', 'item_areas', 'item_aliases', 'status_history'].map(table =>
+    db.prepare(`DELETE FROM ${table} WHERE item_id = ?`));
+  const deleteItem = db.prepare('DELETE FROM items WHERE id = ?');
+
+  // What each item looked like when last loaded or saved, so save() can skip unchanged ones
+  const written = new Map();
+  let cache = null;
+
+  function readState() {
+    const history = new Map();
+    for (const { item_id: id, entry } of sql.allHistory.iterate()) {
+      if (!history.has(id)) history.set(id, []);
+      history.get(id).push(JSON.parse(entry));
+    }
+    const state = emptyState();
+    for (const { key, value } of sql.meta.all()) state[key] = JSON.parse(value);
+    const rows = db.prepare('SELECT id, data FROM items ORDER BY pub_date DESC').all();
+    for (const { id, data } of rows) {
+      const statusHistory = history.get(id) || [];
+      state.betas[id] = { ...JSON.parse(data), statusHistory };
+      written.set(id, { data, history: JSON.stringify(statusHistory) });
+    }
+    return state;
+  }
+
+  function toItem({ id, data }, history = sql.history.all(id)) {
+    return { ...JSON.parse(data), statusHistory: history.map(row => JSON.parse(row.entry)) };
+  }
+
+  const writeState = db.transaction(state => {
+    const { betas = {}, ...meta } = state;
+    const keys = new Set(Object.keys(meta).filter(key => meta[key] !== undefined));
+    for (const { key } of sql.meta.all()) if (!keys.has(key)) sql.deleteMeta.run(key);
+    for (const [key, value] of Object.entries(meta)) {
+      if (value !== undefined) sql.setMeta.run(key, JSON.stringify(value));
+    }
+
+    for (const { id } of sql.ids.all()) {
+      if (betas[id]) continue;
+      deleteItem.run(id);
+      for (const stmt of clearItem) stmt.run(id);
+      written.delete(id);
+    }
+    for (const [id, item] of Object.entries(betas)) {
+      const { statusHistory = [], ...rest } = item;
+      const data = JSON.stringify(rest);
+      const history = JSON.stringify(statusHistory);
+      const prior = written.get(id);
+      if (prior && prior.data === data && prior.history === history) continue;
+      sql.upsertItem.run({
+        id,
+        status: item.status || null,
+        source: item.source || null,
+        pubDate: item.pubDate || null,
+        firstSeen: item.firstSeen || null,
+        lastSeen: item.lastSeen || null,
+        hidden: item.hidden ? 1 : 0,
+        data,
+      });
+      for (const stmt of clearItem) stmt.run(id);
+      for (const hub of item.hubs || []) sql.insertHub.run(id, hub);
+      for (const area of item.areas || []) sql.insertArea.run(id, area);
+      for (const alias of item.aliases || []) sql.insertAlias.run(alias.id, id);
+      statusHistory.forEach((entry, seq) => sql.insertHistory.run(id, seq, entry.status || null, entry.date || null, entry.source || null, JSON.stringify(entry)));
+      written.set(id, { data, history });
+    }
+  });
+
+  const store = {
+    backend: 'sqlite',
+    file,
+    load() {
+      return upgrade(readState());
+    },
+    save(state) {
+      writeState(state);
+      cache = null;
+    },
+    read() {
+      // data_version moves when another connection (a scan) commits
+      const version = db.pragma('data_version', { simple: true });
+      if (!cache || cache.version !== version) cache = { version, state: upgrade(readState()) };
+      return cache.state;
+    },
+    queryItems({ statuses, sources, hubs, areas, since, includeHidden } = {}) {
+      const where = [];
+      const params = [];
+      const list = values => values.map(() => '?').join(', ');
+      if (!includeHidden) where.push('hidden = 0');
+      if (statuses?.length) {
+        where.push(`status IN (${list(statuses)})`);
+        params.push(...statuses);
+      }
+      if (sources?.length) {
+        where.push(`(${sources.map(() => "source LIKE ? || '%'").join(' OR ')})`);
+        params.push(...sources);
+      }
+      if (hubs?.length) {
+        where.push(`id IN (SELECT item_id FROM item_hubs WHERE hub IN (${list(hubs)}))`);
+        params.push(...hubs);
+      }
+      if (areas?.length) {
+        where.push(`id IN (SELECT item_id FROM item_areas WHERE area IN (${list(areas)}))`);
+        params.push(...areas);
+      }
+      if (since) {
+        where.push('pub_date >= ?');
+        params.push(since);
+      }
+      const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+      // The matching items' status history in one query, not one per item
+      const history = new Map();
+      const entries = db.prepare(`SELECT item_id, entry FROM status_history
+        WHERE item_id IN (SELECT id FROM items ${clause}) ORDER BY item_id, seq`).all(...params);
+      for (const row of entries) {
+        if (!history.has(row.item_id)) history.set(row.item_id, []);
+        history.get(row.item_id).push(row);
+      }
+      return db.prepare(`SELECT id, data FROM items ${clause} ORDER BY pub_date DESC`).all(...params)
+        .map(row => toItem(row, history.get(row.id) || []));
+    },
+    getItem(id) {
+      const row = sql.item.get(id) || sql.aliasOwner.get(id);
+      return row ? toItem(row) : null;
+    },
+    recordScanRun({ scannedAt, mode = 'scan', itemsFound = 0, changes = {}, health = null }) {
+      sql.insertRun.run({
+        scannedAt,
+        mode,
+        itemsFound,
+        newCount: changes.new?.length || 0,
+        statusChangedCount: changes.statusChanged?.length || 0,
+        updatedCount: changes.updated?.length || 0,
+        removedCount: changes.removed?.length || 0,
+        health: health ? JSON.stringify(health) : null,
+      });
+    },
+    scanRuns(limit = 20) {
+      return sql.runs.all(limit).map(row => ({ ...row, health: row.health ? JSON.parse(row.health) : null }));
+    },
+    close() {
+      db.close();
+    },
+  };
+  return store;
+}
+
+/**
+ * Opens the store for STORAGE_BACKEND (or `backend`). `file` defaults to
+ * state.json / state.db in `dir`; `upgrade` is described at the top.
+ */
+export function openStore({ backend = process.env.STORAGE_BACKEND || 'json', dir = process.cwd(), file, upgrade = state => state } = {}) {
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}" — expected one of ${STORAGE_BACKENDS.join(', ')}`);
+  }
+  const target = file || path.join(dir, DEFAULT_FILES[backend]);
+  return backend === 'sqlite' ? sqliteStore(target, upgrade) : jsonStore(target, upgrade);
+}
@@ -71,11 +71,18 @@ fi
 # ─── Run the scan ────────────────────────────────────────────────────────────
 
 echo "[beta-scan] Running scan..."
-SCAN_OUTPUT=$(node index.js --json 2>&1) || {
+SCAN_STATUS=0
+SCAN_OUTPUT=$(node index.js --json 2>&1) || SCAN_STATUS=$?
+if [[ $SCAN_STATUS -eq 75 ]]; then
+    # Exit 75: the server's timer or /api/scan already holds the scan lock
+    echo "[beta-scan] Another scan is running, skipping"
+    echo "$SCAN_OUTPUT" | tail -1
+    exit 0
+elif [[ $SCAN_STATUS -ne 0 ]]; then
     echo "[beta-scan] Scan failed"
     echo "$SCAN_OUTPUT" | tail -10
     exit 1
-}
+fi
 
 # Show summary from last line of JSON output
 SCAN_SUMMARY=$(echo "$SCAN_OUTPUT" | grep -o '"summary":{[^}]*}' | tail -1 || echo "")
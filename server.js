@@ -2,9 +2,20 @@ import express from 'express';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { loadPortalConfigs, portalLabel, portalListUrl, portalHeaders } from './lib/portals.js';
+import { TIERS, isAvailableFor } from './lib/availability.js';
+import { PRODUCT_AREAS } from './lib/areas.js';
+import { DATE_FIELDS, countdown } from './lib/dates.js';
+import { EVENT_TYPES, isDay, queryHistory } from './lib/history.js';
+import { migrateState } from './lib/migrations.js';
+import { openStore } from './lib/storage.js';
+import { SCAN_LOCKED_EXIT, readScanLock, writeFileAtomic } from './lib/persist.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const STATE_FILE = path.join(__dirname, 'state.json');
+// STORAGE_BACKEND picks state.json or state.db (lib/storage.js); read() is cached
+// until a scan writes, so requests don't re-parse the whole state. State a scan
+// hasn't migrated yet is brought up to date in memory (lib/migrations.js).
+const store = openStore({ dir: __dirname, upgrade: state => migrateState(state).state });
 const SUBSCRIBERS_FILE = path.join(__dirname, 'subscribers.json');
 // ─── Stats tracking ─────────────────────────────────────────────────────────
 const STATS_FILE = path.join(__dirname, 'stats.json');
@@ -14,7 +25,7 @@ function loadStats() {
 }
 
 function saveStats(stats) {
-  fs.writeFileSync(STATS_FILE, JSON.stringify(stats, null, 2));
+  writeFileAtomic(STATS_FILE, JSON.stringify(stats, null, 2));
 }
 
 function incrementView() {
@@ -28,9 +39,16 @@ const PORT = process.env.PORT || 3000;
 import { spawn } from 'child_process';
 const SCAN_INTERVAL_MS = 24 * 60 * 60 * 1000; // once per day
 
+// Each scan takes the scan lock itself (lib/persist.js); checking first just
+// keeps the log quiet when /api/scan or cron already has one running
 function runScan() {
+  const running = readScanLock(__dirname);
+  if (running) {
+    console.log(`[scanner] Skipping scheduled scan — ${running.command} (pid ${running.pid}) running since ${running.startedAt}`);
+    return;
+  }
   console.log('[scanner] Starting scheduled scan...');
-  const child = spawn('node', ['index.js'], { cwd: __dirname, stdio: 'inherit' });
+  const child = spawn('node', ['index.js'], { cwd: __dirname, stdio: 'inherit', env: { ...process.env, SCAN_TRIGGER: 'schedule' } });
   child.on('exit', code => console.log('[scanner] Scan finished, exit code:', code));
   child.on('error', err => console.error('[scanner] Scan error:', err.message));
 }
@@ -67,60 +85,195 @@ function calculatePortalFreshness(state) {
   };
 }
 
-function portalCookieHeader(cookie, csrf) {
-  if (!cookie || !csrf) return '';
-  const hasHubspotApiName = cookie.includes('hubspotapi=');
-  const baseCookie = hasHubspotApiName ? cookie : `hubspotapi=${cookie}; hubspotapi-csrf=${csrf}`;
-  return baseCookie.includes('hubspotapi-csrf=') ? baseCookie : `${baseCookie}; hubspotapi-csrf=${csrf}`;
+async function checkOnePortal(portal) {
+  const base = { portalId: portal.portalId, region: portal.region, host: portal.host };
+  if (!portal.cookie || !portal.csrf) {
+    return { ...base, ok: false, status: 'missing_auth', message: 'Portal auth env vars are missing' };
+  }
+  try {
+    const r = await fetch(portalListUrl(portal, { limit: 1, offset: 0 }), {
+      headers: portalHeaders(portal),
+      signal: AbortSignal.timeout(12000),
+    });
+    return {
+      ...base,
+      ok: r.ok,
+      status: r.ok ? 'ok' : (r.status === 401 ? 'auth_failed' : 'fetch_failed'),
+      httpStatus: r.status,
+      message: r.ok ? 'Portal API auth is valid' : `Portal API returned HTTP ${r.status}`,
+    };
+  } catch (err) {
+    return { ...base, ok: false, status: 'fetch_failed', message: err.message };
+  }
 }
 
+// Checks every configured portal (HUBSPOT_PORTALS); healthy only if all of them are
 async function checkPortalAuth(state) {
-  const cookie = process.env.HUBSPOT_PORTAL_COOKIE || '';
-  const csrf = process.env.HUBSPOT_PORTAL_CSRF || '';
   const freshness = calculatePortalFreshness(state);
   const staleThresholdHours = Number(process.env.STALE_PORTAL_HOURS || 48);
+  const portals = await Promise.all(loadPortalConfigs().map(checkOnePortal));
+  const failed = portals.filter(p => !p.ok);
+
+  let ok = failed.length === 0;
+  let status = ok ? 'ok' : failed[0].status;
+  let message = ok
+    ? 'Portal API auth is valid'
+    : (portals.length > 1 ? failed.map(p => `${portalLabel(p)}: ${p.message}`).join('; ') : failed[0].message);
+  if (ok && freshness.portalStaleHours !== null && freshness.portalStaleHours > staleThresholdHours) {
+    ok = false; status = 'stale'; message = `Latest portal update is ${freshness.portalStaleHours} hours old`;
+  }
+  return { ok, status, httpStatus: failed[0]?.httpStatus ?? portals[0]?.httpStatus, message, checkedAt: new Date().toISOString(), ...freshness, staleThresholdHours, portals };
+}
+
+// ─── API Routes ─────────────────────────────────────────────────────────────
 
-  if (!cookie || !csrf) {
-    return { ok: false, status: 'missing_auth', message: 'Portal auth env vars are missing', ...freshness, staleThresholdHours };
+// ?hub=Sales Hub alone keeps items tagged with that hub. With ?tier=professional
+// (hub optional) it narrows to items that edition can use by their parsed
+// availability; items with unknown availability are then left out unless
+// includeUnknown=1. ?area=Workflows,Inbox keeps items tagged with any of those
+// product areas (lib/areas.js). Items hidden by an override (overrides.json) are left out
+// unless includeHidden=1.
+app.get('/api/betas', (req, res) => {
+  try {
+    const includeHidden = ['1', 'true'].includes(String(req.query.includeHidden));
+    const hub = req.query.hub || null;
+    const tier = req.query.tier ? String(req.query.tier).toLowerCase() : null;
+    if (tier && !TIERS.includes(tier)) {
+      return res.status(400).json({ error: `Unknown tier "${tier}" — expected one of ${TIERS.join(', ')}` });
+    }
+    const areas = req.query.area ? String(req.query.area).split(',').map(a => a.trim()).filter(Boolean) : [];
+    const unknown = areas.filter(a => !PRODUCT_AREAS[a]);
+    if (unknown.length) {
+      return res.status(400).json({ error: `Unknown area "${unknown[0]}" — see /api/areas` });
+    }
+    let items = store.queryItems({ areas, hubs: hub && !tier ? [hub] : [], includeHidden });
+    if (tier) {
+      const includeUnknown = ['1', 'true'].includes(String(req.query.includeUnknown));
+      items = items.filter(b => isAvailableFor(b.editions, hub, tier) || (includeUnknown && !b.editions?.length));
+    }
+    // Public: only these state keys, and items without their curation notes. Rejections,
+    // promotions, override issues and portal sync details stay behind the API key.
+    const { lastScan, scanCount, health } = store.read();
+    const betas = Object.fromEntries(items.map(({ curation, ...b }) => [b.id, b]));
+    res.json({ lastScan, scanCount, health, betas });
+  } catch (err) {
+    res.status(500).json({ error: 'Could not read state file' });
   }
+});
 
+// The product-area taxonomy with the hub each area sits under and how many
+// visible items are tagged with it
+app.get('/api/areas', (_req, res) => {
   try {
-    const r = await fetch('https://app-eu1.hubspot.com/api/product-updates/v3/rollout-product-updates/list?portalId=139633041&limit=1&offset=0', {
-      headers: {
-        'accept': 'application/json, text/javascript, */*; q=0.01',
-        'referer': 'https://app-eu1.hubspot.com/product-updates/139633041/all',
-        'cookie': portalCookieHeader(cookie, csrf),
-        'x-hubspot-csrf-hubspotapi': csrf,
-        'user-agent': 'Mozilla/5.0',
-      },
-      signal: AbortSignal.timeout(12000),
-    });
-    let ok = r.ok;
-    let status = r.ok ? 'ok' : (r.status === 401 ? 'auth_failed' : 'fetch_failed');
-    let message = r.ok ? 'Portal API auth is valid' : `Portal API returned HTTP ${r.status}`;
-    if (ok && freshness.portalStaleHours !== null && freshness.portalStaleHours > staleThresholdHours) {
-      ok = false; status = 'stale'; message = `Latest portal update is ${freshness.portalStaleHours} hours old`;
+    const counts = {};
+    for (const b of store.queryItems()) {
+      for (const a of b.areas || []) counts[a] = (counts[a] || 0) + 1;
     }
-    return { ok, status, httpStatus: r.status, message, checkedAt: new Date().toISOString(), ...freshness, staleThresholdHours };
+    res.json({ areas: Object.entries(PRODUCT_AREAS).map(([name, { hub }]) => ({ name, hub, count: counts[name] || 0 })) });
   } catch (err) {
-    return { ok: false, status: 'fetch_failed', message: err.message, checkedAt: new Date().toISOString(), ...freshness, staleThresholdHours };
+    res.status(500).json({ error: 'Could not read state file' });
   }
-}
+});
 
-// ─── API Routes ─────────────────────────────────────────────────────────────
+// How one item changed over time: every revision (old → new per field) plus
+// the status timeline. Accepts an alias ID from a cross-source merge too.
+app.get('/api/betas/:id/history', (req, res) => {
+  try {
+    const item = store.getItem(req.params.id);
+    if (!item) return res.status(404).json({ error: `No tracked item with id "${req.params.id}"` });
+    res.json({
+      id: item.id,
+      title: item.title,
+      firstSeen: item.firstSeen,
+      statusHistory: item.statusHistory || [],
+      revisions: item.revisions || [],
+      provenance: item.provenance || {},
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Could not read state file' });
+  }
+});
 
-app.get('/api/betas', (_req, res) => {
+// Why an item got its hubs: per hub the classifier's confidence and the terms
+// and portal featureGroups that matched (lib/hubs.js), plus who set the list
+app.get('/api/betas/:id/hubs', (req, res) => {
   try {
-    const state = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
-    res.json(state);
+    const item = store.getItem(req.params.id);
+    if (!item) return res.status(404).json({ error: `No tracked item with id "${req.params.id}"` });
+    res.json({
+      id: item.id,
+      title: item.title,
+      hubs: item.hubs || ['Platform'],
+      source: item.provenance?.hubs || null,
+      evidence: item.hubEvidence || {},
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Could not read state file' });
+  }
+});
+
+// Items with an effective date, deadline or rollout start (lib/dates.js),
+// soonest first. ?within=N days ahead (default 90); ?past=1 adds dates that
+// have already passed, most recent first, after the upcoming ones.
+app.get('/api/deadlines', (req, res) => {
+  const within = req.query.within === undefined ? 90 : Number(req.query.within);
+  if (!Number.isFinite(within) || within < 0) {
+    return res.status(400).json({ error: `Bad within "${req.query.within}" — expected a number of days` });
+  }
+  const past = ['1', 'true'].includes(String(req.query.past));
+  try {
+    const now = new Date();
+    const items = store.queryItems()
+      .filter(b => b.status !== 'withdrawn')
+      .map(b => ({ item: b, due: countdown(b, now) }))
+      .filter(({ due }) => due && due.days <= within && (past || due.days >= 0))
+      .sort((a, b) => (a.due.days < 0) - (b.due.days < 0) || Math.abs(a.due.days) - Math.abs(b.due.days))
+      .map(({ item, due }) => ({
+        id: item.id,
+        title: item.title,
+        status: item.status,
+        hubs: item.hubs || ['Platform'],
+        sourceUrl: item.sourceUrl,
+        ...Object.fromEntries(DATE_FIELDS.filter(f => item[f]).map(f => [f, item[f]])),
+        evidence: item.dateEvidence || {},
+        countdown: due,
+      }));
+    res.json({ asOf: now.toISOString(), items });
   } catch (err) {
     res.status(500).json({ error: 'Could not read state file' });
   }
 });
 
+// New / status-changed / updated / removed events from history/ (lib/history.js),
+// oldest first. ?from= and ?to= are YYYY-MM-DD, inclusive, defaulting to the
+// last 7 days; ?type=statusChanged,new narrows the event types.
+// Without the API key a history query covers at most this many days
+const HISTORY_API_MAX_DAYS = Number(process.env.HISTORY_API_MAX_DAYS || 90);
+
+app.get('/api/history', (req, res) => {
+  const to = req.query.to ? String(req.query.to) : new Date().toISOString().slice(0, 10);
+  const from = req.query.from ? String(req.query.from) : new Date(Date.now() - 7 * 86400000).toISOString().slice(0, 10);
+  const bad = [from, to].find(d => !isDay(d));
+  if (bad) return res.status(400).json({ error: `Bad date "${bad}" — expected YYYY-MM-DD` });
+  if (from > to) return res.status(400).json({ error: `from (${from}) is after to (${to})` });
+  const days = (new Date(to) - new Date(from)) / 86400000 + 1;
+  if (days > HISTORY_API_MAX_DAYS && !hasApiKey(req)) {
+    return res.status(403).json({ error: `Ranges over ${HISTORY_API_MAX_DAYS} days need the API key (?key= or x-api-key)` });
+  }
+  const types = req.query.type ? String(req.query.type).split(',').map(t => t.trim()).filter(Boolean) : EVENT_TYPES;
+  const unknown = types.find(t => !EVENT_TYPES.includes(t));
+  if (unknown) return res.status(400).json({ error: `Unknown type "${unknown}" — expected one of ${EVENT_TYPES.join(', ')}` });
+  try {
+    const result = queryHistory(path.join(__dirname, 'history'), { from, to, types });
+    res.json({ ...result, total: result.events.length });
+  } catch (err) {
+    res.status(500).json({ error: 'Could not read history', message: err.message });
+  }
+});
+
 app.get('/api/health', async (_req, res) => {
   try {
-    const state = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+    const state = store.read();
     const portal = await checkPortalAuth(state);
     res.status(portal.ok ? 200 : 503).json({ ok: portal.ok, lastScan: state.lastScan, scanCount: state.scanCount, portal });
   } catch (err) {
@@ -130,7 +283,7 @@ app.get('/api/health', async (_req, res) => {
 
 app.get('/api/health/portal', async (_req, res) => {
   try {
-    const state = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+    const state = store.read();
     const portal = await checkPortalAuth(state);
     res.status(portal.ok ? 200 : 503).json(portal);
   } catch (err) {
@@ -138,17 +291,28 @@ app.get('/api/health/portal', async (_req, res) => {
   }
 });
 
-app.get('/api/scan', async (req, res) => {
+// Admin routes take the key as ?key= or an x-api-key header
+function hasApiKey(req) {
   const key = req.query.key || req.headers['x-api-key'];
-  if (!API_KEY || key !== API_KEY) {
+  return Boolean(API_KEY) && key === API_KEY;
+}
+
+app.get('/api/scan', async (req, res) => {
+  if (!hasApiKey(req)) {
     return res.status(401).json({ error: 'Invalid or missing API key' });
   }
+  const running = readScanLock(__dirname);
+  if (running) return res.status(409).json({ error: 'A scan is already running', scan: running });
   try {
     const { execFile } = await import('child_process');
     const { promisify } = await import('util');
     const exec = promisify(execFile);
-    const { stdout, stderr } = await exec('node', [path.join(__dirname, 'index.js')], { timeout: 180000, maxBuffer: 1024 * 1024 });
-    const state = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+    const { stdout, stderr } = await exec('node', [path.join(__dirname, 'index.js')], {
+      timeout: 180000,
+      maxBuffer: 1024 * 1024,
+      env: { ...process.env, SCAN_TRIGGER: 'api' },
+    });
+    const state = store.read();
     const portal = await checkPortalAuth(state);
     res.json({
       ok: true,
@@ -160,10 +324,50 @@ app.get('/api/scan', async (req, res) => {
       stderrTail: stderr ? stderr.split('\n').slice(-8).join('\n') : undefined,
     });
   } catch (err) {
+    // Lost the race to another scan between the check above and the child starting
+    if (err.code === SCAN_LOCKED_EXIT) return res.status(409).json({ error: 'A scan is already running', scan: readScanLock(__dirname) });
     res.status(500).json({ error: 'Scan failed', message: err.message, stdout: err.stdout?.slice(-2000), stderr: err.stderr?.slice(-2000) });
   }
 });
 
+// Titles the last scan filtered out, with the rule that dropped each one.
+// ?q= narrows by title, source or rule ID.
+app.get('/api/rejections', (req, res) => {
+  if (!hasApiKey(req)) {
+    return res.status(401).json({ error: 'Invalid or missing API key' });
+  }
+  try {
+    const state = store.read();
+    const q = String(req.query.q || '').toLowerCase();
+    const items = (state.rejections?.items || [])
+      .filter(r => !q || [r.title, r.source, r.rule].some(v => v.toLowerCase().includes(q)));
+    res.json({ scannedAt: state.rejections?.scannedAt || null, total: items.length, items, promotions: state.promotions || {} });
+  } catch (err) {
+    res.status(500).json({ error: 'Could not read state file' });
+  }
+});
+
+// { "title": "…" } — tracks a wrongly rejected title (same as index.js --promote)
+app.post('/api/rejections/promote', async (req, res) => {
+  if (!hasApiKey(req)) {
+    return res.status(401).json({ error: 'Invalid or missing API key' });
+  }
+  const title = String(req.body?.title || '').trim();
+  if (!title) return res.status(400).json({ error: 'title required' });
+  try {
+    const { execFile } = await import('child_process');
+    const { promisify } = await import('util');
+    const exec = promisify(execFile);
+    const { stdout } = await exec('node', [path.join(__dirname, 'index.js'), '--promote', title], { timeout: 30000, env: { ...process.env, SCAN_TRIGGER: 'api' } });
+    const message = stdout.split('\n').find(line => line.startsWith('✅') || line.startsWith('❌')) || stdout.trim();
+    const ok = message.startsWith('✅');
+    res.status(ok ? 200 : 404).json({ ok, message });
+  } catch (err) {
+    if (err.code === SCAN_LOCKED_EXIT) return res.status(409).json({ error: 'A scan is running — try again when it finishes', scan: readScanLock(__dirname) });
+    res.status(500).json({ error: 'Promote failed', message: err.message });
+  }
+});
+
 app.post('/api/subscribe', async (req, res) => {
   const { email } = req.body;
   if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
@@ -176,7 +380,7 @@ app.post('/api/subscribe', async (req, res) => {
   const alreadyLocal = subscribers.some(s => s.email === email);
   if (!alreadyLocal) {
     subscribers.push({ email, subscribedAt: new Date().toISOString() });
-    fs.writeFileSync(SUBSCRIBERS_FILE, JSON.stringify(subscribers, null, 2));
+    writeFileAtomic(SUBSCRIBERS_FILE, JSON.stringify(subscribers, null, 2));
   }
 
   // Push to HubSpot CRM
@@ -298,6 +502,9 @@ a{color:var(--teal);text-decoration:none}a:hover{text-decoration:underline}
 .important-meta{display:grid;gap:8px;margin-top:12px}
 .important-row{font-size:.82rem;color:var(--text-muted)}
 .important-row strong{color:var(--white);font-weight:600}
+.important-row .md p{margin:4px 0 0}
+.important-row .md ul,.important-row .md ol{margin:4px 0 0 18px}
+.important-row .md a{color:var(--teal)}
 .important-source{margin-top:12px;font-size:.8rem;color:var(--text-muted)}
 .important-source a{color:var(--teal)}
 
@@ -329,6 +536,8 @@ a{color:var(--teal);text-decoration:none}a:hover{text-decoration:underline}
 .grid{display:grid;gap:12px;padding:18px 0 50px}
 .card{background:var(--surface);border-radius:var(--radius);padding:20px 22px;border-left:4px solid #333;transition:background .15s,border-color .15s}
 .card:hover{background:var(--surface2)}
+.card[data-status="in development"]{border-left-color:#a855f7;border-left-style:dotted}
+.card[data-status="coming soon"]{border-left-color:#a855f7}
 .card[data-status="public beta"]{border-left-color:var(--teal)}
 .card[data-status="private beta"]{border-left-color:var(--teal);border-left-style:dashed}
 .card[data-status="developer preview"]{border-left-color:var(--teal);opacity:.95}
@@ -338,9 +547,13 @@ a{color:var(--teal);text-decoration:none}a:hover{text-decoration:underline}
 .card[data-status="sunset"]{border-left-color:var(--orange)}
 .card[data-status="breaking change"]{border-left-color:var(--red)}
 .card[data-status="update"]{border-left-color:#555}
+.card[data-status="withdrawn"]{border-left-color:#333;opacity:.6}
+.card[data-status="deprioritized"]{border-left-color:#444;opacity:.75}
 .card-top{display:flex;justify-content:space-between;align-items:flex-start;gap:12px;margin-bottom:8px}
 .card-title{font-family:'Poppins',system-ui,sans-serif;font-size:.98rem;font-weight:600;line-height:1.4;color:var(--white)}
 .badge{font-size:.65rem;font-weight:600;text-transform:uppercase;letter-spacing:.06em;padding:4px 10px;border-radius:6px;white-space:nowrap;flex-shrink:0}
+.badge[data-status="in development"]{background:rgba(168,85,247,.08);color:rgba(168,85,247,.8)}
+.badge[data-status="coming soon"]{background:rgba(168,85,247,.14);color:#a855f7}
 .badge[data-status="public beta"]{background:rgba(23,161,146,.15);color:var(--teal)}
 .badge[data-status="private beta"]{background:rgba(23,161,146,.1);color:rgba(23,161,146,.75)}
 .badge[data-status="developer preview"]{background:rgba(23,161,146,.1);color:rgba(23,161,146,.75)}
@@ -350,11 +563,27 @@ a{color:var(--teal);text-decoration:none}a:hover{text-decoration:underline}
 .badge[data-status="sunset"]{background:rgba(247,147,26,.12);color:var(--orange)}
 .badge[data-status="breaking change"]{background:rgba(239,68,68,.12);color:var(--red)}
 .badge[data-status="update"]{background:rgba(255,255,255,.05);color:#999}
+.badge[data-status="withdrawn"]{background:rgba(255,255,255,.05);color:#777;text-decoration:line-through}
+.badge[data-status="deprioritized"]{background:rgba(255,255,255,.05);color:#777}
+.countdown{font-size:.65rem;font-weight:600;padding:4px 8px;border-radius:6px;white-space:nowrap;flex-shrink:0;border:1px solid #333;color:var(--text-muted)}
+.countdown[data-due="soon"]{border-color:var(--red);color:var(--red)}
+.countdown[data-due="later"]{border-color:var(--orange);color:var(--orange)}
 .hub-tags{display:flex;gap:6px;flex-wrap:wrap;margin-bottom:10px}
 .hub-tag{font-size:.65rem;font-weight:600;padding:3px 10px;border-radius:4px;white-space:nowrap}
+.area-chips{display:flex;gap:5px;flex-wrap:wrap;margin:-4px 0 10px}
+.area-chip{font:inherit;font-size:.66rem;padding:2px 9px;border-radius:10px;border:1px solid #333;background:none;color:var(--text-muted);cursor:pointer;white-space:nowrap}
+.area-chip:hover,.area-chip.active{border-color:var(--teal);color:var(--teal)}
 .card-desc{color:var(--text);font-size:.86rem;line-height:1.55;margin-bottom:12px;display:-webkit-box;-webkit-line-clamp:4;-webkit-box-orient:vertical;overflow:hidden}
 .card-meta{display:flex;gap:16px;flex-wrap:wrap;font-size:.76rem;color:var(--text-muted)}
 .card-meta a{color:var(--teal)}
+.history-toggle{background:none;border:0;padding:0;font:inherit;color:var(--teal);cursor:pointer}
+.card-history{margin-top:12px;padding-top:12px;border-top:1px solid #262626;display:grid;gap:12px;font-size:.8rem;color:var(--text-muted)}
+.card-history[hidden]{display:none}
+.rev-head{font-weight:600;color:var(--white);margin-bottom:4px}
+.rev-field{line-height:1.5;margin-top:2px}
+.rev-field strong{color:var(--text);font-weight:600;margin-right:4px}
+.rev-field del{color:#f87171;background:rgba(248,113,113,.1);text-decoration:line-through}
+.rev-field ins{color:#4ade80;background:rgba(74,222,128,.1);text-decoration:none}
 
 .cta-panel{background:var(--surface);border-left:4px solid var(--teal);border-radius:var(--radius);padding:22px;display:flex;align-items:center;justify-content:space-between;gap:20px;flex-wrap:wrap}
 .cta-copy h3{font-family:'Poppins',system-ui,sans-serif;font-size:1.1rem;line-height:1.2;color:var(--white);margin-bottom:6px}
@@ -445,7 +674,7 @@ a{color:var(--teal);text-decoration:none}a:hover{text-decoration:underline}
       <div>
         <div class="section-kicker">Tracked feed</div>
         <h2 class="section-title">All tracked updates</h2>
-        <p class="section-note">Betas, live rollouts, sunsets, breaking changes, and notable platform updates. Filter by status or hub.</p>
+        <p class="section-note">Betas, live rollouts, sunsets, breaking changes, and notable platform updates. Filter by status, hub, or the tier you're on.</p>
       </div>
     </div>
 
@@ -458,6 +687,10 @@ a{color:var(--teal);text-decoration:none}a:hover{text-decoration:underline}
         <div class="filter-label">Hub</div>
         <div class="filter-row" id="hubFilters"></div>
       </div>
+      <div class="filter-group">
+        <div class="filter-label">Available on tier</div>
+        <div class="filter-row" id="tierFilters"></div>
+      </div>
     </div>
 
     <div class="grid" id="grid">
@@ -499,7 +732,8 @@ a{color:var(--teal);text-decoration:none}a:hover{text-decoration:underline}
 </footer>
 
 <script>
-const STATUS_ORDER = ['public beta','private beta','developer preview','early access','now live','live','sunset','breaking change','update'];
+const STATUS_ORDER = ['coming soon','in development','public beta','private beta','developer preview','early access','now live','live','sunset','breaking change','update','deprioritized','withdrawn'];
+const TIER_ORDER = ['free','starter','professional','enterprise'];
 const HUB_FILTER_ORDER = ['Marketing Hub','Sales Hub','Service Hub','CMS Hub','Operations Hub','Commerce Hub','Developer Platform','Breeze AI'];
 const HUB_COLORS = {
   'Marketing Hub':'#ff7a59','Sales Hub':'#00bda5','Service Hub':'#f5c26b',
@@ -508,12 +742,63 @@ const HUB_COLORS = {
 };
 
 let allBetas = [];
+// Items no source lists any more; only shown when the Withdrawn filter is on
+let withdrawnBetas = [];
+let knownRegions = new Set();
 let activeStatuses = new Set();
 let activeHubs = new Set();
+let activeTiers = new Set();
+let activeAreas = new Set();
 
 function titleCase(s) { return s.split(' ').map(w => w[0].toUpperCase() + w.slice(1)).join(' '); }
 function escapeHtml(s='') { return s.replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;'); }
 
+// Renders the sanitized Markdown stored by lib/markdown.js. The input is HTML-escaped
+// first, so the only tags that reach the page are the ones produced here.
+function renderMarkdown(md = '') {
+  // Code spans and links are set aside before emphasis, so ** or _ in an href
+  // or in code is never turned into tags; link text still gets emphasis
+  const inline = text => {
+    const held = [];
+    const hold = html => '\\u0000' + (held.push(html) - 1) + '\\u0000';
+    const restore = str => str.replace(/\\u0000(\\d+)\\u0000/g, (m, i) => restore(held[i]));
+    const emphasis = str => str
+      .replace(/\\*\\*(.+?)\\*\\*/g, '<strong>$1</strong>')
+      .replace(/(^|[^\\w])_(.+?)_(?!\\w)/g, '$1<em>$2</em>');
+    const rest = text
+      .replace(/\\\\([\\\\\\x60*_[\\]])/g, (m, c) => '&#' + c.charCodeAt(0) + ';')
+      .replace(/\\x60([^\\x60]+)\\x60/g, (m, code) => hold('<code>' + code + '</code>'))
+      .replace(/\\[([^\\]]+)\\]\\(((?:https?:\\/\\/|mailto:)[^)\\s]+)\\)/g, (m, label, href) =>
+        hold('<a href="' + href + '" target="_blank" rel="noopener">' + emphasis(label) + '</a>'));
+    return restore(emphasis(rest)).replace(/\\n/g, '<br>');
+  };
+  const renderList = lines => {
+    let html = '';
+    const stack = [];
+    lines.forEach(line => {
+      const m = line.match(/^( *)(-|\\d+\\.) (.*)$/);
+      const depth = Math.floor(m[1].length / 2);
+      while (stack.length > depth + 1) html += '</li></' + stack.pop() + '>';
+      if (stack.length === depth + 1) html += '</li>';
+      while (stack.length < depth + 1) { const tag = m[2] === '-' ? 'ul' : 'ol'; stack.push(tag); html += '<' + tag + '>'; }
+      html += '<li>' + inline(m[3]);
+    });
+    while (stack.length) html += '</li></' + stack.pop() + '>';
+    return html;
+  };
+  return escapeHtml(md).split(/\\n{2,}/).map(block => {
+    const lines = block.split('\\n');
+    return lines.every(l => /^ *(-|\\d+\\.) /.test(l)) ? renderList(lines) : '<p>' + inline(block) + '</p>';
+  }).join('');
+}
+
+// Prefer a curated note (overrides.json), then the article's own "Why does it
+// matter?" section, over the generic wording
+function whyItMattersHtml(item, fallback) {
+  const why = item.whyItMatters || (item.article && item.article.whyItMatters);
+  return why ? '<div class="md">' + renderMarkdown(why) + '</div>' : escapeHtml(fallback);
+}
+
 function getImportance(item) {
   const status = item.status || 'update';
   if (status.includes('beta') || status === 'developer preview' || status === 'early access') return 'beta';
@@ -525,11 +810,38 @@ function isSunsetOrCritical(item) {
   return item.status === 'sunset' || item.status === 'breaking change';
 }
 
+// Same rule as countdown() in lib/dates.js: a deadline first, then when the change lands
+const DATE_FIELDS = ['deadline','effectiveDate','rolloutStart'];
+const COUNTDOWN_LABELS = { deadline:'Deadline', effectiveDate:'Takes effect', rolloutStart:'Rolls out' };
+const COUNTDOWN_PAST_LABELS = { deadline:'Deadline passed', effectiveDate:'In effect since', rolloutStart:'Rolling out since' };
+
+function daysRemaining(item) {
+  const field = DATE_FIELDS.find(f => item[f]);
+  if (!field) return null;
+  const now = new Date();
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  return { field, date: item[field], days: Math.round((new Date(item[field]) - today) / 86400000) };
+}
+
+// "Deadline in 12d" while ahead, "In effect since Mar 3" for up to a month after
+function countdownBadge(item) {
+  const due = daysRemaining(item);
+  if (!due || due.days < -30) return '';
+  const date = new Date(due.date).toLocaleDateString('en-US', { month:'short', day:'numeric', year:'numeric', timeZone:'UTC' });
+  const phrase = (item.dateEvidence || {})[due.field];
+  const label = due.days < 0
+    ? COUNTDOWN_PAST_LABELS[due.field] + ' ' + date.replace(/, \\d{4}$/, '')
+    : COUNTDOWN_LABELS[due.field] + (due.days === 0 ? ' today' : ' in ' + due.days + 'd');
+  const urgency = due.days < 0 ? 'past' : (due.days <= 14 ? 'soon' : 'later');
+  return '<span class="countdown" data-due="' + urgency + '" title="' + escapeHtml(date + (phrase ? ' — "' + phrase + '"' : '')) + '">' + escapeHtml(label) + '</span>';
+}
+
 function getTypeLabel(item) {
   const status = item.status || 'update';
   if ((item.impact || 0) >= 10) return 'Major Update';
   if (status === 'breaking change' || status === 'sunset') return 'Important';
   if (status.includes('beta') || status === 'developer preview' || status === 'early access') return 'Beta';
+  if (status === 'coming soon' || status === 'in development') return 'Roadmap';
   if (item.source === 'dev-changelog' || (item.hubs || []).includes('Developer Platform')) return 'Dev';
   return 'Update';
 }
@@ -543,6 +855,8 @@ function buildWhyItMatters(item) {
   if (status === 'breaking change') return 'This change will break existing integrations or workflows if left unaddressed. Review before the release date.';
   if (status === 'public beta') return 'Now available to test in production. Early adoption lets you get ahead of the rollout before it becomes default.';
   if (status === 'private beta') return 'Limited access available now. If this solves a problem for you or a client, request access before the public rollout.';
+  if (status === 'coming soon') return 'HubSpot has announced this but not switched it on yet. Knowing it is close lets you hold off on workarounds you would otherwise build.';
+  if (status === 'in development') return 'On the roadmap but still being built. Worth knowing before investing in a custom solution for the same problem.';
   if (text.includes('ai') || text.includes('breeze')) return 'AI tooling in HubSpot is moving fast. This update shifts what is possible for automation and prospect engagement.';
   if (hubs.includes('Developer Platform')) return 'This affects how custom apps and integrations behave — relevant if you manage custom code or marketplace apps.';
   if (status === 'now live') return 'This feature just shipped to all portals. Check whether it changes existing behavior or unlocks new capabilities.';
@@ -556,6 +870,8 @@ function buildAction(item) {
   if (status === 'breaking change') return 'Review dependencies, custom code, and operational workflows before this turns into a support issue.';
   if (text.includes('sandbox')) return 'Validate this in a sandbox first, then decide whether it belongs in production workflows.';
   if (status.includes('beta') || status === 'developer preview' || status === 'early access') return 'Decide whether this is worth testing now or just monitoring until the rollout is more stable.';
+  if (status === 'coming soon' || status === 'in development') return 'Note it against any workaround or custom build covering the same need, and check back when it reaches beta.';
+  if (status === 'deprioritized') return 'Do not plan around this shipping; keep any existing workaround in place.';
   return 'Review the change, check whether it affects reporting, automation, or admin workflows, and log follow-up if needed.';
 }
 
@@ -591,9 +907,14 @@ function scoreUrgency(item) {
   if (status === 'sunset') score += 42;
   if (status === 'public beta') score += 20;
   if (status === 'private beta' || status === 'developer preview' || status === 'early access') score += 14;
+  if (status === 'coming soon') score += 8;
+  if (status === 'deprioritized') score -= 20;
   if (status === 'now live' || status === 'live') score += 10;
 
-  if (/deadline|by \w+ \d{1,2}|before \w+ \d{1,2}|starting \w+ \d{1,2}|ending \w+ \d{1,2}/.test(text)) score += 18;
+  // Dates the scanner read from the text (lib/dates.js); the phrase check only covers items without one
+  const due = daysRemaining(item);
+  if (due && due.days >= 0) score += due.days <= 30 ? 24 : (due.days <= 90 ? 12 : 0);
+  else if (!due && /deadline|by \\w+ \\d{1,2}|before \\w+ \\d{1,2}|starting \\w+ \\d{1,2}|ending \\w+ \\d{1,2}/.test(text)) score += 18;
   if (/required|must|action required|migrate|migration|turn off|remove|replace|discontinue|deprecated|sunset timeline/.test(text)) score += 16;
   if (/sandbox|oauth|api|workflow|crm|reporting|association|property/.test(text)) score += 8;
   if (/beta|rollout|rolling out|gradual rollout|available now|now live/.test(text)) score += 6;
@@ -623,15 +944,16 @@ function selectHeroItems(items) {
 
 function selectSunsetItems(items) {
   return [...items]
-    .filter(i => scoreRisk(i) >= 35)
+    .filter(i => !i.pinned && scoreRisk(i) >= 35)
     .sort((a, b) => scoreRisk(b) - scoreRisk(a) || new Date(b.pubDate || b.firstSeen) - new Date(a.pubDate || a.firstSeen))
     .slice(0, 1);
 }
 
+// Items pinned in overrides.json come first, whatever their score
 function selectImportantItems(items) {
   return [...items]
-    .filter(i => !isSunsetOrCritical(i))
-    .sort((a, b) => scoreRisk(b) - scoreRisk(a) || new Date(b.pubDate || b.firstSeen) - new Date(a.pubDate || a.firstSeen))
+    .filter(i => i.pinned || !isSunsetOrCritical(i))
+    .sort((a, b) => (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0) || scoreRisk(b) - scoreRisk(a) || new Date(b.pubDate || b.firstSeen) - new Date(a.pubDate || a.firstSeen))
     .slice(0, 3);
 }
 
@@ -647,18 +969,24 @@ async function init() {
     // API returns direct object, not wrapped in {betas: ...}
     const betas = Array.isArray(data) ? data : (data.betas ? Object.values(data.betas) : Object.values(data));
     // Sort by pubDate (actual publish date) for chronological order
-    allBetas = betas.sort((a, b) => {
+    const sorted = betas.sort((a, b) => {
       const aDate = new Date(a.pubDate || a.firstSeen);
       const bDate = new Date(b.pubDate || b.firstSeen);
       return bDate - aDate;
     });
+    allBetas = sorted.filter(b => b.status !== 'withdrawn');
+    withdrawnBetas = sorted.filter(b => b.status === 'withdrawn');
+    allBetas.forEach(b => (b.regions || []).forEach(r => knownRegions.add(r)));
     renderMeta({ betas: allBetas, lastScan: data.lastScan, scanCount: data.scanCount });
     renderHealthBanner(data.health && data.health.portal);
     renderHero();
     renderImportant();
     renderStatusFilters();
     renderHubFilters();
+    renderTierFilters();
     renderGrid();
+    initHistoryToggles();
+    initAreaChips();
     initSubscribeForm();
   } catch (e) {
     document.getElementById('importantGrid').innerHTML = '<div class="empty">Failed to load important updates.</div>';
@@ -726,7 +1054,7 @@ function renderImportant() {
       '<h3 class="important-title">' + escapeHtml(item.title || 'Untitled update') + '</h3>' +
       '<p class="important-copy">' + escapeHtml((item.description || '').slice(0, 240) || 'Tracked update with platform impact.') + '</p>' +
       '<div class="important-meta">' +
-        '<div class="important-row"><strong>Why it matters:</strong> ' + escapeHtml(buildWhyItMatters(item)) + '</div>' +
+        '<div class="important-row"><strong>Why it matters:</strong> ' + whyItMattersHtml(item, buildWhyItMatters(item)) + '</div>' +
         '<div class="important-row"><strong>Who it affects:</strong> ' + escapeHtml(buildWho(item)) + '</div>' +
         '<div class="important-row"><strong>Action:</strong> ' + escapeHtml(buildAction(item)) + '</div>' +
       '</div>' +
@@ -737,11 +1065,11 @@ function renderImportant() {
     const sourceLabel = sourceMap[item.source] || item.source;
     const label = item.status === 'breaking change' ? 'Breaking Change' : 'Sunsetting';
     return '<article class="important-card sunset">' +
-      '<div class="important-type" style="color:var(--orange)">' + escapeHtml(label) + '</div>' +
+      '<div class="important-type" style="color:var(--orange)">' + escapeHtml(label) + ' ' + countdownBadge(item) + '</div>' +
       '<h3 class="important-title">' + escapeHtml(item.title || 'Untitled update') + '</h3>' +
       '<p class="important-copy">' + escapeHtml((item.description || '').slice(0, 240) || 'Tracked time-sensitive change.') + '</p>' +
       '<div class="important-meta">' +
-        '<div class="important-row"><strong>Why it matters:</strong> ' + escapeHtml('This is the highest-risk time-sensitive item in the current feed and may require action soon.') + '</div>' +
+        '<div class="important-row"><strong>Why it matters:</strong> ' + whyItMattersHtml(item, 'This is the highest-risk time-sensitive item in the current feed and may require action soon.') + '</div>' +
         '<div class="important-row"><strong>Who it affects:</strong> ' + escapeHtml(buildWho(item)) + '</div>' +
         '<div class="important-row"><strong>Action:</strong> ' + escapeHtml(buildAction(item)) + '</div>' +
       '</div>' +
@@ -753,7 +1081,7 @@ function renderImportant() {
 
 function renderStatusFilters() {
   const counts = {};
-  allBetas.forEach(b => { counts[b.status] = (counts[b.status] || 0) + 1; });
+  allBetas.concat(withdrawnBetas).forEach(b => { counts[b.status] = (counts[b.status] || 0) + 1; });
   let html = '';
   STATUS_ORDER.forEach(s => {
     if (counts[s]) {
@@ -805,10 +1133,49 @@ function renderHubFilters() {
   });
 }
 
+// Same rules as isAvailableFor() in lib/availability.js: hub null = any hub, no editions = unknown
+function isAvailableFor(editions, hub, tier) {
+  if (!Array.isArray(editions) || !editions.length) return false;
+  return editions.some(e => (!hub || e.hub === '*' || e.hub === hub) && (!tier || e.tier === '*' || e.tier === tier));
+}
+
+function renderTierFilters() {
+  const counts = {};
+  TIER_ORDER.forEach(t => { counts[t] = allBetas.filter(b => isAvailableFor(b.editions, null, t)).length; });
+  let html = '';
+  TIER_ORDER.forEach(t => {
+    if (counts[t]) {
+      html += '<button class="filter-btn" data-tier="' + t + '">' + titleCase(t) + '<span class="filter-count">' + counts[t] + '</span></button>';
+    }
+  });
+  const el = document.getElementById('tierFilters');
+  el.innerHTML = html;
+  el.addEventListener('click', e => {
+    const btn = e.target.closest('.filter-btn');
+    if (!btn) return;
+    const tier = btn.dataset.tier;
+    if (activeTiers.has(tier)) {
+      activeTiers.delete(tier);
+      btn.classList.remove('active');
+    } else {
+      activeTiers.add(tier);
+      btn.classList.add('active');
+    }
+    renderGrid();
+  });
+}
+
 function renderCard(b) {
   const now = Date.now();
   const days = Math.max(0, Math.floor((now - new Date(b.firstSeen).getTime()) / 86400000));
   const firstSeen = new Date(b.firstSeen).toLocaleDateString('en-US', { month:'short', day:'numeric', year:'numeric' });
+  // Show the real publish date where the source gave one; "~" marks a date read from the title
+  let dateLabel = '<span title="Publish date unknown — first seen">' + firstSeen + '</span>';
+  if (b.pubDate && b.dateConfidence === 'exact') {
+    dateLabel = '<span>' + new Date(b.pubDate).toLocaleDateString('en-US', { month:'short', day:'numeric', year:'numeric' }) + '</span>';
+  } else if (b.pubDate && b.dateConfidence === 'inferred') {
+    dateLabel = '<span title="Estimated from the post title">~' + new Date(b.pubDate).toLocaleDateString('en-US', { month:'short', year:'numeric', timeZone:'UTC' }) + '</span>';
+  }
   // Use real description if available, otherwise smart fallback
   let desc = (b.description && b.description.trim().length > 30)
     ? escapeHtml(b.description)
@@ -825,7 +1192,8 @@ function renderCard(b) {
       'breaking change': 'Breaking change coming. Review your integrations and workflows.',
       'deprioritized': 'This feature has been deprioritized and may not be developed.',
       'update': 'Important update to existing functionality. Review the details.',
-      'in development': 'Coming soon. This feature is currently in development.'
+      'in development': 'On the roadmap. This feature is currently in development.',
+      'coming soon': 'Coming soon. HubSpot has announced this feature but not released it yet.'
     };
     return statusHints[item.status] || 'Tracked HubSpot update. View the source link for complete details.';
   }
@@ -834,21 +1202,122 @@ function renderCard(b) {
   const hubTags = hubs.map(h => {
     const color = HUB_COLORS[h] || '#666';
     const textColor = (h === 'Operations Hub' || h === 'Service Hub') ? '#111' : '#fff';
-    return '<span class="hub-tag" style="background:' + color + ';color:' + textColor + '">' + escapeHtml(h) + '</span>';
+    // Tooltip: why the classifier picked this hub
+    const ev = (b.hubEvidence || {})[h];
+    const why = ev ? ' title="' + escapeHtml('Confidence ' + Math.round(ev.confidence * 100) + '% — ' + ev.terms.concat(ev.featureGroups || []).join(', ')) + '"' : '';
+    return '<span class="hub-tag" style="background:' + color + ';color:' + textColor + '"' + why + '>' + escapeHtml(h) + '</span>';
   }).join('');
   return '<div class="card" data-status="' + b.status + '">' +
     '<div class="card-top">' +
       '<span class="card-title">' + escapeHtml(b.title) + '</span>' +
+      countdownBadge(b) +
       '<span class="badge" data-status="' + b.status + '">' + escapeHtml(b.status) + '</span>' +
     '</div>' +
     '<div class="hub-tags">' + hubTags + '</div>' +
+    (b.areas && b.areas.length ? '<div class="area-chips">' + b.areas.map(a =>
+      '<button class="area-chip' + (activeAreas.has(a) ? ' active' : '') + '" data-area="' + escapeHtml(a) + '" title="Show only ' + escapeHtml(a) + '">' + escapeHtml(a) + '</button>').join('') + '</div>' : '') +
     '<p class="card-desc">' + desc + '</p>' +
     '<div class="card-meta">' +
-      '<span>' + firstSeen + '</span>' +
+      dateLabel +
       '<span>' + days + 'd tracked</span>' +
       '<span>' + escapeHtml(sourceLabel) + '</span>' +
+      // Only worth showing when more than one data center is scanned
+      (knownRegions.size > 1 && b.regions && b.regions.length ? '<span>' + escapeHtml(b.regions.map(r => r.toUpperCase()).join(' · ')) + '</span>' : '') +
       (b.sourceUrl ? '<a href="' + b.sourceUrl + '" target="_blank" rel="noopener">Source ↗</a>' : '') +
-    '</div></div>';
+      (b.revisions && b.revisions.length ? '<button class="history-toggle" data-id="' + escapeHtml(b.id) + '">History (' + b.revisions.length + ')</button>' : '') +
+    '</div>' +
+    (b.revisions && b.revisions.length ? '<div class="card-history" hidden></div>' : '') +
+    '</div>';
+}
+
+const REVISION_LABELS = { title:'Title', description:'Description', status:'Status', hubs:'Hubs', areas:'Areas', pubDate:'Published', sourceUrl:'Link', availability:'Availability', editions:'Editions', addOns:'Add-ons', impact:'Impact', article:'Article' };
+
+function formatRevisionValue(field, value) {
+  if (value === null || value === undefined) return '';
+  if (field === 'pubDate') return new Date(value).toLocaleDateString('en-US', { month:'short', day:'numeric', year:'numeric' });
+  if (field === 'editions') return value.map(e => (e.hub === '*' ? 'All hubs' : e.hub) + ' ' + (e.tier === '*' ? 'all tiers' : e.tier)).join(', ');
+  if (field === 'article') return ['whatIsIt', 'whyItMatters', 'howItWorks'].map(k => value[k]).filter(Boolean).join(' ');
+  if (Array.isArray(value)) return value.join(', ');
+  return String(value);
+}
+
+// Word-level diff as HTML: removed words in <del>, added words in <ins>
+// Word diff for revision history. The common prefix and suffix are cut off
+// first; the LCS only runs on what's left, and above DIFF_MAX_TOKENS tokens a
+// side the changed middle is shown as plain before/after instead.
+const DIFF_MAX_TOKENS = 400;
+
+function diffWords(from, to) {
+  const a = from.split(/(\\s+)/), b = to.split(/(\\s+)/);
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length, endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+  const head = escapeHtml(a.slice(0, start).join(''));
+  const tail = escapeHtml(a.slice(endA).join(''));
+  const x = a.slice(start, endA), y = b.slice(start, endB);
+  if (x.length > DIFF_MAX_TOKENS || y.length > DIFF_MAX_TOKENS) {
+    return head + (x.length ? '<del>' + escapeHtml(x.join('')) + '</del>' : '') + (y.length ? '<ins>' + escapeHtml(y.join('')) + '</ins>' : '') + tail;
+  }
+  const lcs = Array.from({ length: x.length + 1 }, () => new Array(y.length + 1).fill(0));
+  for (let i = x.length - 1; i >= 0; i--) {
+    for (let j = y.length - 1; j >= 0; j--) {
+      lcs[i][j] = x[i] === y[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  let html = head, i = 0, j = 0;
+  while (i < x.length && j < y.length) {
+    if (x[i] === y[j]) { html += escapeHtml(x[i]); i++; j++; }
+    else if (lcs[i + 1][j] >= lcs[i][j + 1]) html += '<del>' + escapeHtml(x[i++]) + '</del>';
+    else html += '<ins>' + escapeHtml(y[j++]) + '</ins>';
+  }
+  while (i < x.length) html += '<del>' + escapeHtml(x[i++]) + '</del>';
+  while (j < y.length) html += '<ins>' + escapeHtml(y[j++]) + '</ins>';
+  return html + tail;
+}
+
+function renderHistory(data) {
+  if (!data.revisions || !data.revisions.length) return '<p>No recorded changes yet.</p>';
+  return data.revisions.slice().reverse().map(rev =>
+    '<div class="rev"><div class="rev-head">' +
+      new Date(rev.at).toLocaleDateString('en-US', { month:'short', day:'numeric', year:'numeric' }) + ' · ' + escapeHtml(rev.source || 'scan') +
+    '</div>' +
+    Object.keys(rev.changes).map(field =>
+      '<div class="rev-field"><strong>' + escapeHtml(REVISION_LABELS[field] || field) + '</strong>' +
+      diffWords(formatRevisionValue(field, rev.changes[field].from), formatRevisionValue(field, rev.changes[field].to)) +
+      '</div>').join('') +
+    '</div>').join('');
+}
+
+// History panels load lazily from /api/betas/:id/history when first opened
+function initHistoryToggles() {
+  document.getElementById('grid').addEventListener('click', async e => {
+    const btn = e.target.closest('.history-toggle');
+    if (!btn) return;
+    const panel = btn.closest('.card').querySelector('.card-history');
+    panel.hidden = !panel.hidden;
+    if (panel.hidden || panel.dataset.loaded) return;
+    panel.innerHTML = '<p>Loading…</p>';
+    try {
+      const res = await fetch('/api/betas/' + encodeURIComponent(btn.dataset.id) + '/history');
+      panel.innerHTML = renderHistory(await res.json());
+      panel.dataset.loaded = '1';
+    } catch (err) {
+      panel.innerHTML = '<p>Could not load the change history.</p>';
+    }
+  });
+}
+
+// Clicking an area chip on any card narrows the grid to that area; click again to clear
+function initAreaChips() {
+  document.getElementById('grid').addEventListener('click', e => {
+    const chip = e.target.closest('.area-chip');
+    if (!chip) return;
+    const area = chip.dataset.area;
+    if (activeAreas.has(area)) activeAreas.delete(area);
+    else activeAreas.add(area);
+    renderGrid();
+  });
 }
 
 function appendCards() {
@@ -874,9 +1343,21 @@ function appendCards() {
 
 function renderGrid() {
   if (observer) { observer.disconnect(); observer = null; }
-  let filtered = allBetas;
+  let filtered = activeStatuses.has('withdrawn') ? allBetas.concat(withdrawnBetas) : allBetas;
   if (activeStatuses.size > 0) filtered = filtered.filter(b => activeStatuses.has(b.status));
-  if (activeHubs.size > 0) filtered = filtered.filter(b => (b.hubs || ['Platform']).some(h => activeHubs.has(h)));
+  if (activeTiers.size > 0) {
+    // With a tier picked the question is "can this edition use it", so hubs match on availability, not topic
+    const hubs = activeHubs.size > 0 ? [...activeHubs] : [null];
+    filtered = filtered.filter(b => hubs.some(h => [...activeTiers].some(t => isAvailableFor(b.editions, h, t))));
+  } else if (activeHubs.size > 0) {
+    filtered = filtered.filter(b => (b.hubs || ['Platform']).some(h => activeHubs.has(h)));
+  }
+  if (activeAreas.size > 0) filtered = filtered.filter(b => (b.areas || []).some(a => activeAreas.has(a)));
+  // Sunsets and breaking changes on their own: soonest date first, then ones already passed, then undated
+  if (activeStatuses.size > 0 && [...activeStatuses].every(s => s === 'sunset' || s === 'breaking change')) {
+    const rank = b => { const due = daysRemaining(b); return !due ? 1e9 : (due.days >= 0 ? due.days : 1e6 - due.days); };
+    filtered = filtered.slice().sort((a, b) => rank(a) - rank(b));
+  }
   filteredItems = filtered;
   loadedCount = 0;
   const gridEl = document.getElementById('grid');
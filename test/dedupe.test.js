@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { titleTokens, scoreMatch, isMatch, createMatcher } from '../lib/dedupe.js';
+
+const item = (id, title, fields = {}) => ({ id, title, pubDate: '2026-01-05T00:00:00.000Z', ...fields });
+
+test('titleTokens drops rollout phrases, prefixes and filler words', () => {
+  assert.deepEqual(titleTokens('Breeze Assistant now in public beta'), ['breeze', 'assistant']);
+  assert.deepEqual(titleTokens('Breeze Assistant (Public Beta)'), ['breeze', 'assistant']);
+  assert.deepEqual(titleTokens('Re: Introducing the new Custom Objects'), ['custom', 'object']);
+  assert.deepEqual(titleTokens('Sunset of legacy forms'), ['sunset', 'legacy', 'form']);
+});
+
+test('matches the same launch reported by two sources', () => {
+  const result = scoreMatch(
+    item('a', 'Breeze Assistant now in public beta'),
+    item('b', 'Breeze Assistant (Public Beta)', { pubDate: '2026-01-08T00:00:00.000Z' }),
+  );
+
+  assert.ok(isMatch(result));
+  assert.equal(result.title, 1);
+  assert.equal(result.daysApart, 3);
+});
+
+test('does not match a retirement with the launch it replaces', () => {
+  const result = scoreMatch(item('a', 'Custom report builder for Sales Hub'), item('b', 'Custom report builder for Sales Hub sunset'));
+
+  assert.ok(!isMatch(result));
+});
+
+test('does not match short titles on words alone', () => {
+  const undated = { pubDate: null };
+
+  assert.ok(!isMatch(scoreMatch(item('a', 'Workflows', undated), item('b', 'Workflows', undated))));
+  assert.ok(isMatch(scoreMatch(item('a', 'Custom Workflows', undated), item('b', 'Custom Workflows', undated))));
+});
+
+test('a shared post link counts only when it is specific', () => {
+  const a = item('a', 'Lead scoring updates', { sourceUrl: 'https://example.com/post/1' });
+  const b = item('b', 'Lead scoring improvements', { sourceUrl: 'https://example.com/post/1' });
+
+  assert.ok(scoreMatch(a, b).sharedLink);
+  assert.ok(!scoreMatch(a, b, { isSpecificLink: () => false }).sharedLink);
+  assert.ok(scoreMatch(a, b).score > scoreMatch(a, b, { isSpecificLink: () => false }).score);
+});
+
+test('far-apart publish dates lower the score', () => {
+  const near = scoreMatch(item('a', 'Sequences in Service Hub'), item('b', 'Sequences in Service Hub'));
+  const far = scoreMatch(item('a', 'Sequences in Service Hub'), item('b', 'Sequences in Service Hub', { pubDate: '2026-09-01T00:00:00.000Z' }));
+
+  assert.ok(far.score < near.score);
+  assert.ok(!isMatch(far));
+});
+
+test('isMatch rejects missing results', () => {
+  assert.equal(isMatch(null), false);
+});
+
+test('createMatcher finds the best candidate sharing a token', () => {
+  const matcher = createMatcher();
+  matcher.add(item('breeze-assistant-public-beta', 'Breeze Assistant (Public Beta)'));
+  matcher.add(item('breeze-copilot', 'Breeze Copilot in the mobile app'));
+  matcher.add(item('custom-objects', 'Custom Objects'));
+
+  const best = matcher.bestMatch(item('breeze-assistant', 'Breeze Assistant now in public beta'));
+
+  assert.equal(best.item.id, 'breeze-assistant-public-beta');
+  assert.ok(isMatch(best.result));
+});
+
+test('createMatcher skips the item itself and rejected candidates', () => {
+  const matcher = createMatcher();
+  const self = item('a', 'Breeze Assistant');
+  matcher.add(self);
+  matcher.add(item('b', 'Breeze Assistant beta', { source: 'portal' }));
+
+  assert.equal(matcher.bestMatch(self, candidate => candidate.source !== 'portal'), null);
+  assert.equal(matcher.bestMatch(item('c', 'Unrelated payments feature')), null);
+});
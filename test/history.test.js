@@ -0,0 +1,111 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { compactHistory, queryHistory, isDay } from '../lib/history.js';
+
+const NOW = new Date('2026-03-01T12:00:00.000Z');
+let dir;
+
+const item = (id, fields = {}) => ({ id, title: id, status: 'public_beta', hubs: ['Sales Hub'], source: 'portal', sourceUrl: `https://example.com/${id}`, description: 'long text', ...fields });
+
+function writeDay(date, content) {
+  fs.writeFileSync(path.join(dir, `${date}.json`), JSON.stringify(content, null, 2));
+}
+
+const readDay = date => JSON.parse(fs.readFileSync(path.join(dir, `${date}.json`), 'utf8'));
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-test-'));
+  // Two runs on an old day: a, then a's status moves twice and b is updated twice
+  writeDay('2026-01-10', [
+    { timestamp: '2026-01-10T06:00:00.000Z', itemsFound: 10, health: {}, changes: { new: [item('a', { status: 'private_beta' })], statusChanged: [], updated: [item('b', { changedFields: ['title'] })], removed: [] } },
+    { timestamp: '2026-01-10T18:00:00.000Z', itemsFound: 11, health: {}, changes: {
+      new: [],
+      statusChanged: [item('a', { previousStatus: 'private_beta', status: 'public_beta' })],
+      updated: [item('b', { changedFields: ['description'] })],
+      removed: [],
+    } },
+  ]);
+  writeDay('2026-01-11', [
+    { timestamp: '2026-01-11T06:00:00.000Z', itemsFound: 11, health: {}, changes: { statusChanged: [item('a', { previousStatus: 'public_beta', status: 'live' })] } },
+  ]);
+  // Recent enough to stay raw
+  writeDay('2026-02-25', [
+    { timestamp: '2026-02-25T06:00:00.000Z', itemsFound: 12, health: {}, changes: { new: [item('c')], removed: [item('b')] } },
+  ]);
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a day');
+});
+
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('isDay accepts only real YYYY-MM-DD dates', () => {
+  assert.ok(isDay('2026-01-10'));
+  assert.ok(!isDay('2026-1-10'));
+  assert.ok(!isDay('2026-13-45'));
+  assert.ok(!isDay(undefined));
+});
+
+test('dry-run compaction reports old days without writing', () => {
+  const before = fs.readFileSync(path.join(dir, '2026-01-10.json'), 'utf8');
+  const result = compactHistory(dir, { retentionDays: 30, now: NOW, dryRun: true });
+
+  assert.deepEqual(result.map(r => r.date), ['2026-01-10', '2026-01-11']);
+  assert.equal(result[0].runs, 2);
+  assert.equal(result[0].events, 3);
+  assert.ok(result[0].bytesAfter < result[0].bytesBefore);
+  assert.equal(fs.readFileSync(path.join(dir, '2026-01-10.json'), 'utf8'), before);
+});
+
+test('compaction collapses each item and type to one event per day', () => {
+  compactHistory(dir, { retentionDays: 30, now: NOW });
+  const day = readDay('2026-01-10');
+
+  assert.equal(day.compacted, true);
+  assert.equal(day.runs, 2);
+  assert.equal(day.itemsFound, 11);
+  assert.deepEqual(day.counts, { new: 1, statusChanged: 1, updated: 1, removed: 0 });
+  const updated = day.events.find(e => e.type === 'updated');
+  assert.deepEqual(updated.changedFields, ['title', 'description']);
+  assert.equal(updated.at, '2026-01-10T18:00:00.000Z');
+  assert.ok(day.events.every(e => !('description' in e)));
+  assert.ok(Array.isArray(readDay('2026-02-25')));
+});
+
+test('compaction keeps the first previousStatus of a day', () => {
+  writeDay('2026-01-12', [
+    { timestamp: '2026-01-12T06:00:00.000Z', changes: { statusChanged: [item('d', { previousStatus: 'private_beta', status: 'public_beta' })] } },
+    { timestamp: '2026-01-12T18:00:00.000Z', changes: { statusChanged: [item('d', { previousStatus: 'public_beta', status: 'live' })] } },
+  ]);
+  compactHistory(dir, { retentionDays: 30, now: NOW });
+  const [event] = readDay('2026-01-12').events;
+
+  assert.equal(event.previousStatus, 'private_beta');
+  assert.equal(event.status, 'live');
+});
+
+test('compaction leaves already compacted days alone', () => {
+  compactHistory(dir, { retentionDays: 30, now: NOW });
+  assert.deepEqual(compactHistory(dir, { retentionDays: 30, now: NOW }), []);
+});
+
+test('queries read raw and compacted days alike', () => {
+  const raw = queryHistory(dir);
+  compactHistory(dir, { retentionDays: 30, now: NOW });
+  const compacted = queryHistory(dir);
+
+  assert.equal(raw.events.length, 7);
+  assert.deepEqual(compacted.events.map(e => `${e.type}:${e.id}`), ['new:a', 'updated:b', 'statusChanged:a', 'statusChanged:a', 'new:c', 'removed:b']);
+  assert.deepEqual(compacted.events.at(-1), raw.events.at(-1));
+});
+
+test('queries filter by date range and type, oldest first', () => {
+  const { from, to, types, events } = queryHistory(dir, { from: '2026-01-11', to: '2026-02-25', types: ['statusChanged', 'removed'] });
+
+  assert.equal(from, '2026-01-11');
+  assert.equal(to, '2026-02-25');
+  assert.deepEqual(types, ['statusChanged', 'removed']);
+  assert.deepEqual(events.map(e => `${e.type}:${e.id}`), ['statusChanged:a', 'removed:b']);
+  assert.deepEqual(Object.keys(events[0]), ['type', 'at', 'id', 'title', 'status', 'previousStatus', 'hubs', 'source', 'sourceUrl']);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { htmlToMarkdown, extractArticleSections } from '../lib/markdown.js';
+
+test('keeps text, emphasis, code, lists and breaks', () => {
+  const html = '<p>Use <strong>Breeze</strong> with <em>any</em> <code>record</code>.<br>Then:</p><ul><li>One</li><li>Two<ol><li>Nested</li></ol></li></ul>';
+
+  assert.equal(htmlToMarkdown(html), 'Use **Breeze** with _any_ `record`.\nThen:\n\n- One\n- Two\n  1. Nested');
+});
+
+test('drops scripts, styles, iframes, images and attributes', () => {
+  const html = '<div onclick="steal()"><script>alert(1)</script><style>p{}</style><p class="x">Safe <img src="x" onerror="alert(1)">text</p><iframe src="https://evil.example"></iframe></div>';
+  const markdown = htmlToMarkdown(html);
+
+  assert.equal(markdown, 'Safe text');
+  assert.doesNotMatch(markdown, /alert|onclick|onerror|iframe|evil/);
+});
+
+test('keeps only http(s) and mailto links', () => {
+  assert.equal(htmlToMarkdown('<p><a href="https://example.com/a b">Docs</a></p>'), '[Docs](https://example.com/a%20b)');
+  assert.equal(htmlToMarkdown('<p><a href="mailto:beta@example.com">Mail</a></p>'), '[Mail](mailto:beta@example.com)');
+  assert.equal(htmlToMarkdown('<p><a href="javascript:alert(1)">Click</a></p>'), 'Click');
+  assert.equal(htmlToMarkdown('<p><a href="data:text/html,x">Data</a></p>'), 'Data');
+});
+
+test('escapes Markdown in text and parentheses in link targets', () => {
+  assert.equal(htmlToMarkdown('<p>*not bold* [x](y)</p>'), '\\*not bold\\* \\[x\\](y)');
+  assert.equal(htmlToMarkdown('<p><a href="https://example.com/x)y">L</a></p>'), '[L](https://example.com/x%29y)');
+});
+
+test('returns an empty string for empty input', () => {
+  assert.equal(htmlToMarkdown(''), '');
+  assert.equal(htmlToMarkdown(null), '');
+});
+
+test('splits portal articles into their sections', () => {
+  const html = `
+    <p><strong>What is it?</strong></p><p>A new <em>assistant</em>.</p>
+    <p><strong>Why does it matter?</strong> Saves time.</p>
+    <h3>How does it work?</h3><ul><li>Open a record</li><li>Ask</li></ul>`;
+
+  assert.deepEqual(extractArticleSections(html), {
+    whatIsIt: 'A new _assistant_.',
+    whyItMatters: 'Saves time.',
+    howItWorks: '- Open a record\n- Ask',
+  });
+});
+
+test('returns null sections when absent and null without the layout', () => {
+  assert.deepEqual(extractArticleSections('<p>What is it?</p><p>Only this.</p>'), { whatIsIt: 'Only this.', whyItMatters: null, howItWorks: null });
+  assert.equal(extractArticleSections('<p>Just an announcement.</p>'), null);
+  assert.equal(extractArticleSections(''), null);
+});
+
+test('sanitizes section content too', () => {
+  const sections = extractArticleSections('<p>What is it?</p><p>Hi<script>alert(1)</script> <a href="javascript:x">there</a></p>');
+
+  assert.equal(sections.whatIsIt, 'Hi there');
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MIGRATIONS, SCHEMA_VERSION, migrateState } from '../lib/migrations.js';
+
+const NOW = '2026-01-15T00:00:00.000Z';
+
+const legacyItem = (overrides = {}) => ({
+  id: 'breeze-assistant',
+  title: 'Breeze Assistant',
+  description: 'Ask Breeze about your CRM records',
+  status: 'public_beta',
+  source: 'releasebot',
+  sourceUrl: 'https://example.com/breeze',
+  pubDate: 'Mon, 05 Jan 2026 10:00:00 GMT',
+  firstSeen: '2026-01-05T10:00:00.000Z',
+  lastSeen: '2026-01-14T10:00:00.000Z',
+  ...overrides,
+});
+
+test('versions are consecutive and SCHEMA_VERSION is the last one', () => {
+  assert.deepEqual(MIGRATIONS.map(m => m.version), MIGRATIONS.map((_, i) => i + 1));
+  assert.equal(SCHEMA_VERSION, MIGRATIONS.at(-1).version);
+});
+
+test('wraps flat state and brings it to the current version', () => {
+  const state = { 'breeze-assistant': legacyItem() };
+  const { from, to, applied } = migrateState(state, { now: NOW });
+
+  assert.equal(from, 0);
+  assert.equal(to, SCHEMA_VERSION);
+  assert.equal(state.schemaVersion, SCHEMA_VERSION);
+  assert.deepEqual(applied.map(m => m.version), MIGRATIONS.map(m => m.version));
+  assert.deepEqual(Object.keys(state.betas), ['breeze-assistant']);
+  assert.equal(state.lastScan, null);
+  assert.equal(state.scanCount, 0);
+});
+
+test('fills item defaults, dates, provenance and areas', () => {
+  const state = { betas: { 'breeze-assistant': legacyItem() }, lastScan: NOW, scanCount: 3 };
+  migrateState(state, { now: NOW });
+  const item = state.betas['breeze-assistant'];
+
+  assert.deepEqual(item.hubs, ['Platform']);
+  assert.deepEqual(item.sources, ['releasebot']);
+  assert.deepEqual(item.statusHistory, [{ status: 'public_beta', date: item.firstSeen, source: 'releasebot' }]);
+  assert.equal(item.pubDate, '2026-01-05T10:00:00.000Z');
+  assert.equal(item.dateConfidence, 'exact');
+  assert.deepEqual(item.provenance.title, { source: 'releasebot', at: item.firstSeen });
+  assert.ok(Array.isArray(item.areas));
+});
+
+test('treats community dates that track lastSeen as scan-time', () => {
+  const state = { betas: { x: legacyItem({ source: 'community', pubDate: '2026-01-14T09:00:00.000Z' }) }, scanCount: 1 };
+  migrateState(state, { now: NOW });
+
+  assert.equal(state.betas.x.dateConfidence, 'scan-time');
+  assert.equal(state.betas.x.pubDate, state.betas.x.firstSeen);
+});
+
+test('is a no-op on current state', () => {
+  const state = { betas: { x: legacyItem() }, scanCount: 1 };
+  migrateState(state, { now: NOW });
+  const before = JSON.stringify(state);
+  const { from, to, applied } = migrateState(state, { now: NOW });
+
+  assert.equal(from, SCHEMA_VERSION);
+  assert.equal(to, SCHEMA_VERSION);
+  assert.deepEqual(applied, []);
+  assert.equal(JSON.stringify(state), before);
+});
+
+test('throws on state newer than this code', () => {
+  assert.throws(() => migrateState({ schemaVersion: SCHEMA_VERSION + 1, betas: {} }), /newer than this code/);
+});
+
+test('v7 re-pairs editions parsed by the old availability parser', () => {
+  const availability = 'Marketing Hub Professional and Enterprise';
+  const state = {
+    schemaVersion: 6,
+    betas: {
+      x: legacyItem({ availability, editions: [{ hub: 'Platform', tier: 'professional' }], addOns: [] }),
+      y: legacyItem({ id: 'y' }),
+    },
+  };
+  const { applied } = migrateState(state, { now: NOW });
+
+  assert.equal(applied.find(m => m.name === 'availability-pairing').changed, 1);
+  assert.deepEqual(state.betas.x.editions, [
+    { hub: 'Marketing Hub', tier: 'professional' },
+    { hub: 'Marketing Hub', tier: 'enterprise' },
+  ]);
+});
+
+test('v8 slims alias snapshots but keeps what --split-merge needs', () => {
+  const snapshot = { title: 'Old', status: 'private_beta', provenance: { title: { source: 'portal', at: NOW } }, curation: { hidden: true }, aliases: [] };
+  const state = { schemaVersion: 7, betas: { x: legacyItem({ aliases: [{ id: 'old', item: snapshot }] }) } };
+  const { applied } = migrateState(state, { now: NOW });
+
+  assert.equal(applied.at(-1).changed, 1);
+  assert.deepEqual(state.betas.x.aliases[0].item, { title: 'Old', status: 'private_beta', provenance: snapshot.provenance });
+});